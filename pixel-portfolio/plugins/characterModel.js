@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { DEFAULT_CONTENT_FILE, loadPortfolioContent } from './portfolioContent.js';
+import { readGlbJson, inspectGltf, checkCharacterRig } from './glb.js';
+
+const require = createRequire(import.meta.url);
+const DRACO_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'];
+const DRACO_DIR = 'draco/';
+const VIRTUAL_ID = 'virtual:character-model';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+
+function dracoSourceDir() {
+  // three's `exports` hides package.json, so step out of build/ from the main entry instead
+  return path.resolve(path.dirname(require.resolve('three')), '../examples/jsm/libs/draco/gltf');
+}
+
+/**
+ * Validates the self-hosted character model (`character.model` in the content
+ * file, relative to public/) against the bones and clips the rig code needs,
+ * and ships three.js' Draco decoder next to it so nothing is fetched from a CDN.
+ * `virtual:character-model` tells the app whether the model exists; without
+ * it the site still builds and shows the 2D character.
+ */
+export default function characterModel({ file = DEFAULT_CONTENT_FILE } = {}) {
+  let root;
+  let publicDir;
+  let base;
+  let usesDraco = false;
+  let modelPath;
+
+  return {
+    name: 'character-model',
+
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+      base = config.base;
+    },
+
+    buildStart() {
+      const { character } = loadPortfolioContent(path.resolve(root, file));
+      modelPath = path.join(publicDir, character.model);
+
+      if (!fs.existsSync(modelPath)) {
+        // Source-only and offline checkouts still build; the app starts on the 2D character instead
+        this.warn(`${path.relative(root, modelPath)} not found — run \`npm run model:build\` to fetch and compress the character model`);
+        return;
+      }
+
+      this.addWatchFile(modelPath);
+      let json;
+      try {
+        json = readGlbJson(fs.readFileSync(modelPath));
+      } catch (err) {
+        this.error(`${character.model}: ${err.message}`);
+      }
+
+      const problems = checkCharacterRig(json, character);
+      if (problems.length) {
+        this.error(`${character.model} does not fit the character rig:\n  - ${problems.join('\n  - ')}`);
+      }
+      usesDraco = inspectGltf(json).extensions.has('KHR_draco_mesh_compression');
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      // Checked on every load so a model generated while the dev server runs is picked up on reload
+      if (id === RESOLVED_ID) return `export const modelAvailable = ${fs.existsSync(modelPath)};\n`;
+    },
+
+    generateBundle() {
+      if (!usesDraco) return;
+      const dir = dracoSourceDir();
+      for (const name of DRACO_FILES) {
+        this.emitFile({ type: 'asset', fileName: DRACO_DIR + name, source: fs.readFileSync(path.join(dir, name)) });
+      }
+    },
+
+    configureServer(server) {
+      const prefix = `${base}${DRACO_DIR}`;
+      server.middlewares.use((req, res, next) => {
+        const name = req.url?.startsWith(prefix) && req.url.slice(prefix.length).split('?')[0];
+        if (!name || !DRACO_FILES.includes(name)) return next();
+        res.setHeader('Content-Type', name.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        res.end(fs.readFileSync(path.join(dracoSourceDir(), name)));
+      });
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import { CONTACT_ERROR_MESSAGES, HONEYPOT_FIELD, validateContactMessage } from '../src/shared/contactMessage.js';
+
+export const MOCK_PATH = 'api/contact';
+const RATE_LIMIT = 3;         // messages per client…
+const RATE_WINDOW = 60_000;   // …per minute
+const MAX_BODY = 64 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new Error('body too large'));
+        req.destroy(); // stop reading; nothing sends this much for a contact form
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * A stand-in for a Formspree-style form endpoint, mounted at
+ * `<base>api/contact` by `vite` and `vite preview`. It answers the way
+ * Formspree does — `{ ok: true }`, or 422 with `{ errors: [{ field, message }] }`
+ * and 429 when rate limited — and logs accepted messages instead of mailing them.
+ */
+export default function contactMock() {
+  const sent = new Map(); // client address → timestamps of recent messages
+
+  const handle = async (req, res, logger) => {
+    let fields;
+    try {
+      fields = JSON.parse(await readBody(req));
+    } catch {
+      return send(res, 400, { error: 'Expected a JSON body' });
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return send(res, 400, { error: 'Expected a JSON object' });
+    }
+
+    // Bots get a success so they don't retry
+    if (fields[HONEYPOT_FIELD]) return send(res, 200, { ok: true });
+
+    const errors = validateContactMessage(fields);
+    if (Object.keys(errors).length) {
+      return send(res, 422, { errors: Object.entries(errors).map(([field, code]) => ({ field, code, message: CONTACT_ERROR_MESSAGES[field][code] })) });
+    }
+
+    const client = req.socket.remoteAddress;
+    const now = Date.now();
+    const recent = (sent.get(client) || []).filter((t) => now - t < RATE_WINDOW);
+    if (recent.length >= RATE_LIMIT) return send(res, 429, { error: 'Too many messages, try again in a minute' });
+    sent.set(client, [...recent, now]);
+
+    logger.info(`[contact-mock] message from ${fields.name} <${fields.email}>:\n${fields.message}`, { timestamp: true });
+    send(res, 200, { ok: true });
+  };
+
+  // A bad request must never leave the connection hanging or reject into the dev server
+  const middleware = (logger) => async (req, res, next) => {
+    if (!req.url.split('?')[0].endsWith(`/${MOCK_PATH}`)) return next();
+    if (req.method !== 'POST') return send(res, 405, { error: 'Use POST' });
+
+    try {
+      await handle(req, res, logger);
+    } catch (err) {
+      logger.error(`[contact-mock] ${err.message}`, { timestamp: true });
+      if (!res.headersSent && !res.destroyed) send(res, 500, { error: 'Something went wrong' });
+    }
+  };
+
+  return {
+    name: 'contact-mock',
+
+    configureServer(server) {
+      server.middlewares.use(middleware(server.config.logger));
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware(server.config.logger));
+    },
+  };
+}
@@ -0,0 +1,299 @@
+/* Portfolio content schema — a tiny validator so a bad fork fails the build, not the visitor */
+import { CHAPTER_IDS, MAX_SKILL_LEVEL } from '../src/shared/content.js';
+
+const string = { type: 'string' };
+const url = { type: 'url' };
+const email = { type: 'email' };
+const date = { type: 'date' }; // YYYY, YYYY-MM or YYYY-MM-DD
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const optional = (schema) => ({ ...schema, optional: true });
+const arrayOf = (of, min = 0) => ({ type: 'array', of, min });
+const shape = (fields) => ({ type: 'object', fields });
+const recordOf = (of) => ({ type: 'record', of });
+const oneOf = (values) => ({ type: 'enum', values });
+
+// One step of a character animation: a clip, optionally played once and/or sped up
+const animationStep = shape({
+  clip: string,
+  once: optional(boolean),
+  fade: optional(number),
+  timeScale: optional(number),
+});
+
+// A screenshot or clip in a project's gallery; `src` is a URL or a path under public/
+const projectMedia = shape({
+  type: oneOf(['image', 'video']),
+  src: string,
+  alt: string,
+  poster: optional(string),
+});
+
+// How a chapter's content reveals itself each time the chapter opens
+const chapterEntrance = shape({
+  sound: optional(oneOf(['hover', 'click', 'section', 'achievement'])),
+  stagger: optional(number),
+  duration: optional(number),
+  distance: optional(number),
+  once: optional(boolean),
+});
+
+// Set dressing around the character while a chapter is open, and where the camera moves to see it
+export const SCENE_SETS = ['orbs', 'questMap', 'banners', 'crates', 'trophies', 'campfire'];
+const vector3 = arrayOf(number, 3); // [x, y, z] in scene units
+const chapterScene = shape({
+  set: optional(oneOf(SCENE_SETS)),
+  camera: optional(shape({
+    position: optional(vector3),
+    target: optional(vector3),
+  })),
+  light: optional(number), // multiplies the theme's light intensities
+});
+
+const URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const DATE_RE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const portfolioSchema = shape({
+  profile: shape({
+    firstName: string,
+    lastName: string,
+    greeting: string,
+    tagline: string,
+    description: string,
+    email,
+    phone: string,
+    phoneDisplay: string,
+    github: url,
+    linkedin: url,
+  }),
+  site: shape({
+    url, // where the site is deployed, ending in the Vite `base`; share links and images need it absolute
+    title: string,
+    description: string,
+  }),
+  chapters: arrayOf(shape({
+    id: oneOf(CHAPTER_IDS),
+    nav: string,
+    number: optional(string),
+    title: optional(string),
+    description: optional(string), // search/share snippet for the chapter's page; summarised from its content otherwise
+    entrance: optional(chapterEntrance),
+    scene: optional(chapterScene),
+  }), 1),
+  skills: arrayOf(shape({
+    title: string,
+    nodes: arrayOf(shape({
+      id: string,
+      name: string,
+      level: number, // 1..MAX_SKILL_LEVEL
+      requires: optional(arrayOf(string)),
+    }), 1),
+  })),
+  education: arrayOf(shape({
+    title: string,
+    place: string,
+    start: optional(date),
+    end: optional(date), // or the year it was completed, without `start`
+    location: optional(string),
+    score: optional(string),
+  })),
+  experience: arrayOf(shape({
+    role: string,
+    company: string,
+    icon: string,
+    bullets: arrayOf(string),
+    link: optional(url),
+  })),
+  projects: arrayOf(shape({
+    slug: string, // deep link: #projects/<slug>
+    title: string,
+    tags: arrayOf(string, 1),
+    desc: string,
+    role: optional(string),
+    outcomes: optional(arrayOf(string)),
+    media: optional(arrayOf(projectMedia)),
+    repo: url,
+    demo: optional(url),
+    skills: optional(arrayOf(string)),
+  })),
+  issuers: recordOf(shape({
+    name: string,
+    url: optional(url),
+  })),
+  certificates: arrayOf(shape({
+    id: string,
+    icon: string,
+    name: string,
+    issuer: string, // key into `issuers`
+    credentialId: optional(string),
+    link: url, // the issuer's public verification page
+  })),
+  character: shape({
+    model: string,
+    source: optional(url),
+    requiredBones: arrayOf(string),
+    requiredClips: arrayOf(string),
+    animations: shape({
+      idle: string,
+      fade: number,
+      chapters: recordOf(arrayOf(animationStep, 1)),
+      emotes: recordOf(arrayOf(animationStep, 1)),
+    }),
+  }),
+  contact: shape({
+    footer: string,
+    copyright: string,
+    endpoint: optional(url), // Formspree-style form endpoint; without one the form hands off to the mail app
+  }),
+});
+
+function isValidUrl(value) {
+  try {
+    return URL_PROTOCOLS.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function check(value, schema, path, errors) {
+  if (value === undefined || value === null) {
+    if (!schema.optional) errors.push(`${path}: missing required field`);
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) errors.push(`${path}: expected a non-empty string`);
+      break;
+    case 'url':
+      if (typeof value !== 'string' || !isValidUrl(value)) errors.push(`${path}: malformed URL "${value}"`);
+      break;
+    case 'date':
+      if (typeof value !== 'string' || !DATE_RE.test(value)) errors.push(`${path}: expected a date like 2024-06 or 2024-06-30, got "${value}"`);
+      break;
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_RE.test(value)) errors.push(`${path}: malformed email "${value}"`);
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${path}: expected a number`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path}: expected true or false`);
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) errors.push(`${path}: expected one of ${schema.values.join(', ')}, got "${value}"`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected an array`);
+        break;
+      }
+      if (value.length < schema.min) errors.push(`${path}: expected at least ${schema.min} item(s)`);
+      value.forEach((item, i) => check(item, schema.of, `${path}[${i}]`, errors));
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: expected an object`);
+        break;
+      }
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        check(value[key], fieldSchema, path ? `${path}.${key}` : key, errors);
+      }
+      break;
+    case 'record':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: expected an object`);
+        break;
+      }
+      for (const [key, item] of Object.entries(value)) check(item, schema.of, `${path}.${key}`, errors);
+      break;
+    default:
+      errors.push(`${path}: unknown schema type "${schema.type}"`);
+  }
+}
+
+/**
+ * Validates parsed portfolio content.
+ * @returns {string[]} human-readable errors, empty when the content is valid
+ */
+export function validateContent(data) {
+  const errors = [];
+  check(data, portfolioSchema, '', errors);
+
+  // Chapter ids double as URL fragments, so they have to be unique
+  const ids = (Array.isArray(data?.chapters) ? data.chapters : []).map((c) => c?.id);
+  ids.forEach((id, i) => {
+    if (id && ids.indexOf(id) !== i) errors.push(`chapters[${i}].id: duplicate chapter id "${id}"`);
+  });
+
+  (Array.isArray(data?.chapters) ? data.chapters : []).forEach((chapter, i) => {
+    for (const key of ['position', 'target']) {
+      const v = chapter?.scene?.camera?.[key];
+      if (Array.isArray(v) && v.length !== 3) errors.push(`chapters[${i}].scene.camera.${key}: expected [x, y, z]`);
+    }
+  });
+
+  Object.keys(data?.character?.animations?.chapters || {}).forEach((id) => {
+    if (!ids.includes(id)) errors.push(`character.animations.chapters.${id}: no chapter with id "${id}"`);
+  });
+
+  const slugs = (Array.isArray(data?.projects) ? data.projects : []).map((p) => p?.slug);
+  slugs.forEach((slug, i) => {
+    if (typeof slug !== 'string') return;
+    if (!SLUG_RE.test(slug)) errors.push(`projects[${i}].slug: use lowercase letters, digits and dashes, got "${slug}"`);
+    else if (slugs.indexOf(slug) !== i) errors.push(`projects[${i}].slug: duplicate project slug "${slug}"`);
+  });
+
+  const certIds = (Array.isArray(data?.certificates) ? data.certificates : []).map((c) => c?.id);
+  (Array.isArray(data?.certificates) ? data.certificates : []).forEach((cert, i) => {
+    if (cert?.id && certIds.indexOf(cert.id) !== i) errors.push(`certificates[${i}].id: duplicate certificate id "${cert.id}"`);
+    if (cert?.issuer && !data?.issuers?.[cert.issuer]) errors.push(`certificates[${i}].issuer: no issuer "${cert.issuer}" in issuers`);
+  });
+
+  checkSkillTree(data, errors);
+  return errors;
+}
+
+// Skill ids are referenced by prerequisites and projects, and prerequisites must form a tree (no loops)
+function checkSkillTree(data, errors) {
+  const nodes = (Array.isArray(data?.skills) ? data.skills : []).flatMap((cat, c) =>
+    (Array.isArray(cat?.nodes) ? cat.nodes : []).map((node, n) => ({ node, path: `skills[${c}].nodes[${n}]` })));
+  const byId = new Map();
+
+  nodes.forEach(({ node, path }) => {
+    if (!node?.id) return;
+    if (byId.has(node.id)) errors.push(`${path}.id: duplicate skill id "${node.id}"`);
+    else byId.set(node.id, node);
+    if (typeof node.level === 'number' && (node.level < 1 || node.level > MAX_SKILL_LEVEL || !Number.isInteger(node.level))) {
+      errors.push(`${path}.level: expected a whole number from 1 to ${MAX_SKILL_LEVEL}`);
+    }
+  });
+
+  nodes.forEach(({ node, path }) => {
+    (Array.isArray(node?.requires) ? node.requires : []).forEach((req, i) => {
+      if (!byId.has(req)) errors.push(`${path}.requires[${i}]: no skill with id "${req}"`);
+    });
+  });
+
+  // Depth-first walk; meeting a node that is still on the stack means a loop
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done' || !byId.has(id)) return;
+    if (state.get(id) === 'visiting') {
+      errors.push(`skills: prerequisite loop ${[...trail.slice(trail.indexOf(id)), id].join(' → ')}`);
+      return;
+    }
+    state.set(id, 'visiting');
+    (byId.get(id).requires || []).forEach((req) => visit(req, [...trail, id]));
+    state.set(id, 'done');
+  };
+  byId.forEach((_, id) => visit(id, []));
+
+  (Array.isArray(data?.projects) ? data.projects : []).forEach((project, p) => {
+    (Array.isArray(project?.skills) ? project.skills : []).forEach((id, i) => {
+      if (!byId.has(id)) errors.push(`projects[${p}].skills[${i}]: no skill with id "${id}"`);
+    });
+  });
+}
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CONTENT_FILE, loadPortfolioContent } from './portfolioContent.js';
+
+const VIRTUAL_ID = 'virtual:github-stats';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+const API = 'https://api.github.com';
+const REQUEST_TIMEOUT = 5000;
+const EXCERPT_LENGTH = 220;
+const TOP_LANGUAGES = 3;
+
+export const DEFAULT_SNAPSHOT_FILE = 'src/content/github-stats.json';
+
+/** 'https://github.com/owner/name' → 'owner/name'; null for anything that isn't a GitHub repo. */
+export function repoFromUrl(url) {
+  const m = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(url || '');
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+/** First prose paragraph of a README, with the markdown stripped and cut at a word boundary. */
+export function readmeExcerpt(markdown) {
+  const paragraph = markdown
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/```[\s\S]*?```/g, '')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .find((block) => block && !/^(#|!\[|\[!\[|<|\||-{3,}|={3,})/.test(block));
+  if (!paragraph) return null;
+
+  const text = paragraph
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')      // images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')   // links → their text
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= EXCERPT_LENGTH) return text;
+  const space = text.lastIndexOf(' ', EXCERPT_LENGTH);
+  return `${text.slice(0, space > 0 ? space : EXCERPT_LENGTH)}…`; // no space to break at: cut mid-word
+}
+
+async function github(endpoint, token, accept = 'application/vnd.github+json') {
+  const res = await fetch(`${API}${endpoint}`, {
+    headers: { Accept: accept, ...(token && { Authorization: `Bearer ${token}` }) },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+  if (!res.ok) throw new Error(`${endpoint}: HTTP ${res.status}`);
+  return accept.endsWith('.raw') ? res.text() : res.json();
+}
+
+/** Stars, top languages by share of code, last push and a README excerpt for one repo. */
+export async function fetchRepoStats(repo, token) {
+  const [info, languages, readme] = await Promise.all([
+    github(`/repos/${repo}`, token),
+    github(`/repos/${repo}/languages`, token),
+    github(`/repos/${repo}/readme`, token, 'application/vnd.github.raw').catch(() => null), // READMEs are optional
+  ]);
+  const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+  return {
+    stars: info.stargazers_count,
+    languages: Object.entries(languages)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_LANGUAGES)
+      .map(([name, bytes]) => ({ name, share: Math.round((bytes / total) * 100) / 100 })),
+    updatedAt: info.pushed_at,
+    excerpt: readme ? readmeExcerpt(readme) : null,
+  };
+}
+
+/** Every GitHub repo the projects link to. */
+export function projectRepos(content) {
+  return [...new Set(content.projects.map((p) => repoFromUrl(p.repo)).filter(Boolean))];
+}
+
+export function readSnapshot(snapshotPath) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).repos || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Exposes repository stats for the project cards as `virtual:github-stats`
+ * (a map of project slug → stats). Stats come from the committed snapshot
+ * (empty until someone runs `npm run stats:update`); `vite build` refreshes
+ * them from the GitHub API when `GITHUB_TOKEN` is set or `GITHUB_STATS=live`,
+ * keeping the snapshot values for any repo the API can't reach. Repos missing
+ * from both simply render without stats.
+ */
+export default function githubStats({
+  file = DEFAULT_CONTENT_FILE,
+  snapshot = DEFAULT_SNAPSHOT_FILE,
+  live = process.env.GITHUB_STATS === 'live' || (Boolean(process.env.GITHUB_TOKEN) && process.env.GITHUB_STATS !== 'offline'),
+} = {}) {
+  let root;
+  let command;
+  let stats = {}; // project slug → stats
+
+  return {
+    name: 'github-stats',
+
+    configResolved(config) {
+      root = config.root;
+      command = config.command;
+    },
+
+    async buildStart() {
+      const snapshotPath = path.resolve(root, snapshot);
+      this.addWatchFile(snapshotPath);
+      const byRepo = readSnapshot(snapshotPath);
+      const content = loadPortfolioContent(path.resolve(root, file));
+
+      if (live && command === 'build') {
+        const repos = projectRepos(content);
+        const results = await Promise.allSettled(repos.map((repo) => fetchRepoStats(repo, process.env.GITHUB_TOKEN)));
+        results.forEach((result, i) => {
+          if (result.status === 'fulfilled') byRepo[repos[i]] = result.value;
+          else this.warn(`${repos[i]}: ${result.reason.message} — using the snapshot`);
+        });
+      }
+
+      stats = Object.fromEntries(content.projects
+        .map((p) => [p.slug, byRepo[repoFromUrl(p.repo)]])
+        .filter(([, repoStats]) => repoStats));
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id === RESOLVED_ID) return `export default ${JSON.stringify(stats)};\n`;
+    },
+  };
+}
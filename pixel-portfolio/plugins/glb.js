@@ -0,0 +1,47 @@
+/* GLB inspection — reads just the JSON chunk of a binary glTF, no three.js needed */
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const CHUNK_JSON = 0x4e4f534a; // 'JSON'
+
+/** Parses the JSON chunk of a .glb buffer. Throws on anything that isn't a glTF 2.0 binary. */
+export function readGlbJson(buffer) {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new Error('not a binary glTF (.glb) file');
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) throw new Error(`unsupported glTF version ${version}`);
+
+  const chunkLength = buffer.readUInt32LE(12);
+  if (buffer.readUInt32LE(16) !== CHUNK_JSON) throw new Error('first GLB chunk is not JSON');
+  return JSON.parse(buffer.toString('utf8', 20, 20 + chunkLength));
+}
+
+/** Summarises the parts of a glTF the character rig depends on. */
+export function inspectGltf(json) {
+  return {
+    nodes: new Set((json.nodes || []).map((n) => n.name).filter(Boolean)),
+    clips: new Set((json.animations || []).map((a) => a.name).filter(Boolean)),
+    extensions: new Set(json.extensionsUsed || []),
+  };
+}
+
+/** Every clip the animation config refers to, so the rig check covers them too. */
+export function referencedClips({ requiredClips = [], animations }) {
+  const steps = animations
+    ? [...Object.values(animations.chapters), ...Object.values(animations.emotes)].flat()
+    : [];
+  return [...new Set([...requiredClips, ...(animations ? [animations.idle] : []), ...steps.map((s) => s.clip)])];
+}
+
+/**
+ * Checks a model against the bones and clips the character code expects.
+ * @returns {string[]} human-readable problems, empty when the model fits
+ */
+export function checkCharacterRig(json, character) {
+  const { nodes, clips } = inspectGltf(json);
+  const { requiredBones = [] } = character;
+  return [
+    ...requiredBones.filter((b) => !nodes.has(b)).map((b) => `missing bone "${b}"`),
+    ...referencedClips(character).filter((c) => !clips.has(c)).map((c) => `missing animation clip "${c}"`),
+  ];
+}
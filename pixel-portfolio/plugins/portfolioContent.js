@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { validateContent } from './contentSchema.js';
+
+const VIRTUAL_ID = 'virtual:portfolio-content';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+
+export const DEFAULT_CONTENT_FILE = 'src/content/portfolio.json';
+
+/** Reads and validates a portfolio content file. Throws with every problem listed. */
+export function loadPortfolioContent(contentPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(contentPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`[portfolio-content] could not read ${contentPath}: ${err.message}`);
+  }
+  const errors = validateContent(data);
+  if (errors.length) {
+    throw new Error(`[portfolio-content] ${contentPath} is invalid:\n  - ${errors.join('\n  - ')}`);
+  }
+  return data;
+}
+
+/**
+ * Loads the portfolio content file at build time, validates it and exposes it
+ * as `virtual:portfolio-content` (default export plus one named export per
+ * top-level section).
+ */
+export default function portfolioContent({ file = DEFAULT_CONTENT_FILE } = {}) {
+  let contentPath;
+  const readContent = () => loadPortfolioContent(contentPath);
+
+  return {
+    name: 'portfolio-content',
+
+    configResolved(config) {
+      contentPath = path.resolve(config.root, file);
+    },
+
+    // Fail fast: a broken content file should stop `vite build` before bundling starts
+    buildStart() {
+      this.addWatchFile(contentPath);
+      readContent();
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      const data = readContent();
+      const named = Object.entries(data)
+        .map(([key, value]) => `export const ${key} = ${JSON.stringify(value)};`)
+        .join('\n');
+      return `${named}\nexport default { ${Object.keys(data).join(', ')} };\n`;
+    },
+
+    configureServer(server) {
+      server.watcher.add(contentPath);
+      server.watcher.on('change', (changed) => {
+        if (path.resolve(changed) !== contentPath) return;
+        const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        server.ws.send({ type: 'full-reload' });
+      });
+    },
+  };
+}
@@ -0,0 +1,164 @@
+/* Prerender — the static HTML, meta tags and JSON-LD that crawlers and link previews see before the app boots */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fullName = ({ profile }) => `${profile.firstName} ${profile.lastName}`;
+
+// Joins names into a snippet-sized list: "A, B and 3 more"
+function list(names, max = 4) {
+  if (names.length <= max) return names.join(', ');
+  return `${names.slice(0, max).join(', ')} and ${names.length - max} more`;
+}
+
+/** Site-relative path of a chapter's own page: '' for the first chapter, 'skills/' for the rest. */
+export function chapterPath(content, chapter) {
+  return chapter.id === content.chapters[0].id ? '' : `${chapter.id}/`;
+}
+
+/** The chapter's `description`, or a one-line summary of what it lists. */
+export function chapterDescription(content, chapter) {
+  if (chapter.description) return chapter.description;
+  const name = fullName(content);
+  switch (chapter.id) {
+    case 'skills': return `${name}'s skills: ${list(content.skills.flatMap((c) => c.nodes.map((n) => n.name)), 8)}.`;
+    case 'education': return `${name}'s education: ${list(content.education.map((e) => `${e.title}, ${e.place}`), 2)}.`;
+    case 'experience': return `${name}'s experience: ${list(content.experience.map((e) => `${e.role} at ${e.company}`))}.`;
+    case 'projects': return `Projects by ${name}: ${list(content.projects.map((p) => p.title))}.`;
+    case 'certificates': return `${name}'s certifications: ${list(content.certificates.map((c) => c.name))}.`;
+    case 'contact': return `Get in touch with ${name}: ${content.profile.email}.`;
+    default: return content.site.description;
+  }
+}
+
+export function chapterTitle(content, chapter) {
+  return chapter.id === content.chapters[0].id ? content.site.title : `${chapter.title || chapter.nav} | ${fullName(content)}`;
+}
+
+/**
+ * schema.org graph: the person (with education, employers, profiles and
+ * credentials) and each project as a CreativeWork they created.
+ */
+export function structuredData(content) {
+  const { profile, site } = content;
+  const personId = `${site.url}#person`;
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'Person',
+        '@id': personId,
+        name: fullName(content),
+        givenName: profile.firstName,
+        familyName: profile.lastName,
+        jobTitle: profile.tagline,
+        description: profile.description,
+        email: `mailto:${profile.email}`,
+        url: site.url,
+        sameAs: [profile.github, profile.linkedin],
+        alumniOf: content.education.map((e) => ({ '@type': 'EducationalOrganization', name: e.place })),
+        worksFor: content.experience.map((e) => ({ '@type': 'Organization', name: e.company, ...(e.link && { url: e.link }) })),
+        knowsAbout: content.skills.flatMap((c) => c.nodes.map((n) => n.name)),
+        hasCredential: content.certificates.map((c) => ({
+          '@type': 'EducationalOccupationalCredential',
+          name: c.name,
+          url: c.link,
+          recognizedBy: { '@type': 'Organization', name: content.issuers[c.issuer].name },
+        })),
+      },
+      ...content.projects.map((p) => ({
+        '@type': 'CreativeWork',
+        '@id': `${site.url}#projects/${p.slug}`,
+        name: p.title,
+        description: p.desc,
+        keywords: p.tags.join(', '),
+        url: p.demo || p.repo,
+        ...(p.demo && { sameAs: p.repo }),
+        creator: { '@id': personId },
+      })),
+    ],
+  };
+}
+
+/**
+ * <head> tags for one chapter's page: title, description, canonical link,
+ * Open Graph/Twitter card with its share image, and the JSON-LD graph.
+ */
+export function headTags(content, chapter, imageUrl) {
+  const title = escapeHtml(chapterTitle(content, chapter));
+  const description = escapeHtml(chapterDescription(content, chapter));
+  const url = escapeHtml(content.site.url + chapterPath(content, chapter));
+  // `</` would end the script element early
+  const jsonLd = JSON.stringify(structuredData(content)).replace(/</g, '\\u003c');
+
+  return [
+    `<title>${title}</title>`,
+    `<meta name="description" content="${description}" />`,
+    `<link rel="canonical" href="${url}" />`,
+    `<meta property="og:type" content="${chapter.id === content.chapters[0].id ? 'profile' : 'website'}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(content.site.title)}" />`,
+    `<meta property="og:title" content="${title}" />`,
+    `<meta property="og:description" content="${description}" />`,
+    `<meta property="og:url" content="${url}" />`,
+    `<meta property="og:image" content="${escapeHtml(imageUrl)}" />`,
+    '<meta property="og:image:width" content="1200" />',
+    '<meta property="og:image:height" content="630" />',
+    `<meta property="og:image:alt" content="${title}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+    `<script type="application/ld+json">${jsonLd}</script>`,
+  ].join('\n    ');
+}
+
+const link = (href, text) => `<a href="${escapeHtml(href)}">${escapeHtml(text)}</a>`;
+
+// "2022 – 2026 | Nagpur", "2020 | Score: 88%"
+function educationDetails(e) {
+  const years = [e.start, e.end].filter(Boolean).map((d) => d.slice(0, 4));
+  return [[...new Set(years)].join(' – '), e.location, e.score && `Score: ${e.score}`].filter(Boolean).join(' | ');
+}
+
+function chapterBody(content, chapter) {
+  switch (chapter.id) {
+    case 'skills':
+      return content.skills.map((c) => `<h3>${escapeHtml(c.title)}</h3><ul>${c.nodes.map((n) => `<li>${escapeHtml(n.name)}</li>`).join('')}</ul>`).join('');
+    case 'education':
+      return `<ul>${content.education.map((e) => `<li><strong>${escapeHtml(e.title)}</strong>, ${escapeHtml(e.place)} (${escapeHtml(educationDetails(e))})</li>`).join('')}</ul>`;
+    case 'experience':
+      return content.experience.map((e) => `<h3>${escapeHtml(e.role)}, ${e.link ? link(e.link, e.company) : escapeHtml(e.company)}</h3><ul>${e.bullets.map((b) => `<li>${escapeHtml(b)}</li>`).join('')}</ul>`).join('');
+    case 'projects':
+      return content.projects.map((p) => `<article><h3>${link(p.repo, p.title)}</h3><p>${escapeHtml(p.desc)}</p><p>${escapeHtml(p.tags.join(' · '))}</p></article>`).join('');
+    case 'certificates':
+      return `<ul>${content.certificates.map((c) => `<li>${link(c.link, c.name)}, ${escapeHtml(content.issuers[c.issuer].name)}</li>`).join('')}</ul>`;
+    case 'contact':
+      return `<ul><li>${link(`mailto:${content.profile.email}`, content.profile.email)}</li><li>${link(content.profile.linkedin, 'LinkedIn')}</li><li>${link(content.profile.github, 'GitHub')}</li></ul>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Every chapter as plain semantic HTML, placed inside #root. React replaces
+ * it on mount; until then (or without JavaScript) it's a readable page.
+ */
+export function staticContent(content) {
+  const { profile } = content;
+  const [home, ...rest] = content.chapters;
+  const base = new URL(content.site.url).pathname;
+  const nav = content.chapters
+    .map((c) => `<li>${link(base + chapterPath(content, c), c.title || c.nav)}</li>`)
+    .join('');
+
+  return `<div class="prerendered">
+      <header id="${escapeHtml(home.id)}">
+        <p>${escapeHtml(profile.greeting)}</p>
+        <h1>${escapeHtml(fullName(content))}</h1>
+        <p>${escapeHtml(profile.tagline)}</p>
+        <p>${escapeHtml(profile.description)}</p>
+        <nav><ul>${nav}</ul></nav>
+      </header>
+      ${rest.map((c) => `<section id="${escapeHtml(c.id)}"><h2>${escapeHtml(c.title || c.nav)}</h2>${chapterBody(content, c)}</section>`).join('\n      ')}
+    </div>`;
+}
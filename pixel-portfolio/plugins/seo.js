@@ -0,0 +1,94 @@
+import path from 'path';
+import { DEFAULT_CONTENT_FILE, loadPortfolioContent } from './portfolioContent.js';
+import { chapterPath, headTags, staticContent } from './prerender.js';
+import { renderShareImage } from './shareImage.js';
+
+const HEAD_START = '<!-- seo -->';
+const HEAD_END = '<!-- /seo -->';
+const ROOT = '<div id="root"></div>';
+
+const shareImageFile = (chapter) => `og/${chapter.id}.png`;
+
+function shareImage(content, chapter, index) {
+  const { profile, site } = content;
+  const first = index === 0;
+  return renderShareImage({
+    label: first ? profile.greeting : chapter.number || chapter.nav,
+    name: `${profile.firstName} ${profile.lastName}`,
+    headline: first ? profile.tagline : chapter.title || chapter.nav,
+    footer: site.url.replace(/^https?:\/\//, '').replace(/\/$/, ''),
+    step: index,
+    steps: content.chapters.length,
+  });
+}
+
+const headFor = (content, chapter) => `${HEAD_START}\n    ${headTags(content, chapter, content.site.url + shareImageFile(chapter))}\n    ${HEAD_END}`;
+
+/**
+ * Makes the single-page app visible to crawlers and link previews:
+ * - index.html gets the title, description, Open Graph/Twitter tags and
+ *   JSON-LD, and #root is prefilled with every chapter as static HTML
+ * - `vite build` also writes `<chapter>/index.html` for each other chapter,
+ *   with that chapter's tags, and a 1200×630 share image per chapter in og/
+ * The chapter pages boot the same app, which opens the chapter they're for.
+ */
+export default function seo({ file = DEFAULT_CONTENT_FILE } = {}) {
+  let contentPath;
+  let base;
+
+  return {
+    name: 'seo',
+    enforce: 'post',
+
+    configResolved(config) {
+      contentPath = path.resolve(config.root, file);
+      base = config.base;
+    },
+
+    transformIndexHtml(html) {
+      const content = loadPortfolioContent(contentPath);
+      return html
+        .replace('</head>', `  ${headFor(content, content.chapters[0])}\n  </head>`)
+        .replace(ROOT, `<div id="root">\n    ${staticContent(content)}\n    </div>`);
+    },
+
+    // Lets `vite` preview the share cards at <base>og/<chapter>.png
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const m = new RegExp(`^${base}og/([\\w-]+)\\.png$`).exec(req.url.split('?')[0]);
+        if (!m) return next();
+        const content = loadPortfolioContent(contentPath);
+        const index = content.chapters.findIndex((c) => c.id === m[1]);
+        if (index < 0) return next();
+        res.setHeader('Content-Type', 'image/png');
+        res.end(shareImage(content, content.chapters[index], index));
+      });
+    },
+
+    generateBundle(_, bundle) {
+      const content = loadPortfolioContent(contentPath);
+      content.chapters.forEach((chapter, index) => {
+        this.emitFile({ type: 'asset', fileName: shareImageFile(chapter), source: shareImage(content, chapter, index) });
+      });
+
+      const index = bundle['index.html'];
+      if (!index) {
+        this.warn('index.html not found in the bundle; chapter pages were not written');
+        return;
+      }
+      const html = String(index.source);
+      const start = html.indexOf(HEAD_START);
+      const end = html.indexOf(HEAD_END);
+      // Something after transformIndexHtml (a minifier, another plugin) dropped them
+      if (start < 0 || end < 0) this.error(`index.html lost the ${HEAD_START} … ${HEAD_END} markers; chapter pages can't swap in their tags`);
+      content.chapters.slice(1).forEach((chapter) => {
+        const page = html.slice(0, start) + headFor(content, chapter) + html.slice(end + HEAD_END.length);
+        this.emitFile({
+          type: 'asset',
+          fileName: `${chapterPath(content, chapter)}index.html`,
+          source: page.replace(/<html\b/, `<html data-chapter="${chapter.id}"`),
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,203 @@
+/* Share Image — draws a 1200×630 Open Graph card in a 5×7 pixel font and encodes it as PNG, no canvas needed */
+import zlib from 'zlib';
+
+export const SHARE_IMAGE_WIDTH = 1200;
+export const SHARE_IMAGE_HEIGHT = 630;
+
+const MARGIN = 80;
+const COLORS = {
+  bg: '#F5F0E8',
+  primary: '#FF8C00',
+  primaryDark: '#e07800',
+  text: '#2a2420',
+  muted: '#9a8d80',
+  empty: '#EDE6DA',
+};
+
+// Rows top to bottom, '#' lit; unknown characters print as '?'
+const GLYPHS = {
+  A: '.###. #...# #...# ##### #...# #...# #...#',
+  B: '####. #...# #...# ####. #...# #...# ####.',
+  C: '.###. #...# #.... #.... #.... #...# .###.',
+  D: '###.. #..#. #...# #...# #...# #..#. ###..',
+  E: '##### #.... #.... ####. #.... #.... #####',
+  F: '##### #.... #.... ####. #.... #.... #....',
+  G: '.###. #...# #.... #.### #...# #...# .####',
+  H: '#...# #...# #...# ##### #...# #...# #...#',
+  I: '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  J: '..### ...#. ...#. ...#. ...#. #..#. .##..',
+  K: '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+  L: '#.... #.... #.... #.... #.... #.... #####',
+  M: '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+  N: '#...# #...# ##..# #.#.# #..## #...# #...#',
+  O: '.###. #...# #...# #...# #...# #...# .###.',
+  P: '####. #...# #...# ####. #.... #.... #....',
+  Q: '.###. #...# #...# #...# #.#.# #..#. .##.#',
+  R: '####. #...# #...# ####. #.#.. #..#. #...#',
+  S: '.#### #.... #.... .###. ....# ....# ####.',
+  T: '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  U: '#...# #...# #...# #...# #...# #...# .###.',
+  V: '#...# #...# #...# #...# #...# .#.#. ..#..',
+  W: '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+  X: '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+  Y: '#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..',
+  Z: '##### ....# ...#. ..#.. .#... #.... #####',
+  0: '.###. #...# #..## #.#.# ##..# #...# .###.',
+  1: '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+  2: '.###. #...# ....# ...#. ..#.. .#... #####',
+  3: '####. ....# ....# .###. ....# ....# ####.',
+  4: '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+  5: '##### #.... ####. ....# ....# #...# .###.',
+  6: '..##. .#... #.... ####. #...# #...# .###.',
+  7: '##### ....# ...#. ..#.. .#... .#... .#...',
+  8: '.###. #...# #...# .###. #...# #...# .###.',
+  9: '.###. #...# #...# .#### ....# ...#. .##..',
+  ' ': '..... ..... ..... ..... ..... ..... .....',
+  '&': '.##.. #..#. #.#.. .#... #.#.# #..#. .##.#',
+  "'": '..#.. ..#.. .#... ..... ..... ..... .....',
+  '!': '..#.. ..#.. ..#.. ..#.. ..#.. ..... ..#..',
+  '?': '.###. #...# ....# ...#. ..#.. ..... ..#..',
+  '-': '..... ..... ..... ##### ..... ..... .....',
+  '.': '..... ..... ..... ..... ..... .##.. .##..',
+  ',': '..... ..... ..... ..... .##.. ..#.. .#...',
+  ':': '..... .##.. .##.. ..... .##.. .##.. .....',
+  '/': '....# ....# ...#. ..#.. .#... #.... #....',
+  '|': '..#.. ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+};
+const GLYPH_ROWS = 7;
+const ADVANCE = 6; // glyph width plus one column of spacing
+
+/** Upper-cases and folds text onto the glyph set: accents dropped, curly quotes and dashes straightened. */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .replace(/[‘’]/g, "'")
+    .replace(/[–—]/g, '-')
+    .toUpperCase();
+}
+
+const textWidth = (text, scale) => (text.length * ADVANCE - 1) * scale;
+
+function hex(color) {
+  const n = parseInt(color.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  const fillRect = (x, y, w, h, color) => {
+    const [r, g, b] = hex(color);
+    for (let row = Math.max(0, y); row < Math.min(height, y + h); row++) {
+      for (let col = Math.max(0, x); col < Math.min(width, x + w); col++) {
+        const i = (row * width + col) * 3;
+        pixels[i] = r;
+        pixels[i + 1] = g;
+        pixels[i + 2] = b;
+      }
+    }
+  };
+
+  const drawText = (text, x, y, scale, color) => {
+    [...normalize(text)].forEach((char, i) => {
+      const rows = (GLYPHS[char] || GLYPHS['?']).split(' ');
+      rows.forEach((row, r) => [...row].forEach((bit, c) => {
+        if (bit === '#') fillRect(x + (i * ADVANCE + c) * scale, y + r * scale, scale, scale, color);
+      }));
+    });
+  };
+
+  return { width, height, pixels, fillRect, drawText };
+}
+
+/** Greedy word wrap to lines that fit `maxWidth` at `scale`. */
+function wrap(text, scale, maxWidth) {
+  const lines = [];
+  normalize(text).split(/\s+/).forEach((word) => {
+    const last = lines.at(-1);
+    if (last && textWidth(`${last} ${word}`, scale) <= maxWidth) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  });
+  return lines;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/** 8-bit RGB PNG of a canvas. */
+export function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // bit depth 8, colour type RGB, default compression/filter/interlace
+
+  // Each scanline starts with its filter type; 0 (none) lets zlib do the work
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * The share card for one page: a small label, the name, a headline and the
+ * site address, with a row of blocks marking which chapter it is.
+ * @param {{ label: string, name: string, headline: string, footer: string, step: number, steps: number }} card
+ */
+export function renderShareImage({ label, name, headline, footer, step, steps }) {
+  const canvas = createCanvas(SHARE_IMAGE_WIDTH, SHARE_IMAGE_HEIGHT);
+  const { fillRect, drawText } = canvas;
+  const inner = SHARE_IMAGE_WIDTH - MARGIN * 2;
+
+  fillRect(0, 0, SHARE_IMAGE_WIDTH, SHARE_IMAGE_HEIGHT, COLORS.primary);
+  fillRect(20, 20, SHARE_IMAGE_WIDTH - 40, SHARE_IMAGE_HEIGHT - 40, COLORS.text);
+  fillRect(28, 28, SHARE_IMAGE_WIDTH - 56, SHARE_IMAGE_HEIGHT - 56, COLORS.bg);
+
+  drawText(label, MARGIN, 90, 5, COLORS.primaryDark);
+
+  const nameScale = Math.min(14, Math.floor(inner / textWidth(normalize(name), 1)));
+  drawText(name, MARGIN, 160, nameScale, COLORS.text);
+
+  let headlineScale = 7;
+  let lines = wrap(headline, headlineScale, inner);
+  while (lines.length > 2 && headlineScale > 3) lines = wrap(headline, --headlineScale, inner);
+  const headlineTop = 160 + GLYPH_ROWS * nameScale + 50;
+  lines.slice(0, 2).forEach((line, i) => {
+    drawText(line, MARGIN, headlineTop + i * (GLYPH_ROWS + 4) * headlineScale, headlineScale, COLORS.primary);
+  });
+
+  const block = 28;
+  const blocksWidth = steps * (block + 8) - 8;
+  for (let i = 0; i < steps; i++) {
+    const x = SHARE_IMAGE_WIDTH - MARGIN - blocksWidth + i * (block + 8);
+    fillRect(x, 516, block, block, i <= step ? COLORS.primary : COLORS.empty);
+  }
+  const footerScale = Math.min(4, Math.floor((inner - blocksWidth - 32) / textWidth(normalize(footer), 1)));
+  drawText(footer, MARGIN, 530 - Math.round((GLYPH_ROWS * footerScale) / 2), footerScale, COLORS.muted);
+
+  return encodePng(canvas);
+}
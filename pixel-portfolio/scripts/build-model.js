@@ -0,0 +1,87 @@
+/* Character model pipeline — fetch (or read) a glTF, compress it and write it under public/.
+ *
+ *   npm run model:build                                  # character.source → public/<character.model>
+ *   npm run model:build -- --input ./my-hero.glb         # swap in your own character
+ *   npm run model:build -- --compress draco --force      # Draco instead of meshopt, overwrite output
+ */
+import fs from 'fs';
+import path from 'path';
+import { NodeIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { dedup, prune, resample, meshopt, draco } from '@gltf-transform/functions';
+import { MeshoptEncoder, MeshoptDecoder } from 'meshoptimizer';
+import draco3d from 'draco3dgltf';
+import { DEFAULT_CONTENT_FILE, loadPortfolioContent } from '../plugins/portfolioContent.js';
+import { readGlbJson, checkCharacterRig } from '../plugins/glb.js';
+
+function parseArgs(argv) {
+  const args = { compress: 'meshopt', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--input') args.input = argv[++i];
+    else if (argv[i] === '--compress') args.compress = argv[++i];
+    else if (argv[i] === '--force') args.force = true;
+    else throw new Error(`unknown argument "${argv[i]}"`);
+  }
+  if (!['meshopt', 'draco'].includes(args.compress)) {
+    throw new Error(`--compress must be "meshopt" or "draco", got "${args.compress}"`);
+  }
+  return args;
+}
+
+async function readInput(input) {
+  if (/^https?:\/\//.test(input)) {
+    console.log(`Downloading ${input}`);
+    const res = await fetch(input);
+    if (!res.ok) throw new Error(`download failed: HTTP ${res.status}`);
+    return new Uint8Array(await res.arrayBuffer());
+  }
+  return new Uint8Array(fs.readFileSync(input));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { character } = loadPortfolioContent(path.resolve(DEFAULT_CONTENT_FILE));
+  const input = args.input || character.source;
+  const output = path.resolve('public', character.model);
+
+  if (!input) throw new Error('no --input given and character.source is not set');
+  if (fs.existsSync(output) && !args.force) {
+    console.log(`${path.relative(process.cwd(), output)} already exists — pass --force to rebuild it`);
+    return;
+  }
+
+  await MeshoptEncoder.ready;
+  await MeshoptDecoder.ready;
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'meshopt.encoder': MeshoptEncoder,
+      'meshopt.decoder': MeshoptDecoder,
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+    });
+
+  const source = await readInput(input);
+  const document = await io.readBinary(source);
+  await document.transform(
+    dedup(),
+    prune(),
+    resample(),
+    args.compress === 'draco' ? draco() : meshopt({ encoder: MeshoptEncoder, level: 'medium' }),
+  );
+  const result = await io.writeBinary(document);
+
+  // Validate what we are about to ship, not what we were given
+  const problems = checkCharacterRig(readGlbJson(Buffer.from(result)), character);
+  if (problems.length) throw new Error(`model does not fit the character rig:\n  - ${problems.join('\n  - ')}`);
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, result);
+  const kb = (n) => `${(n / 1024).toFixed(0)} KB`;
+  console.log(`Wrote ${path.relative(process.cwd(), output)} (${kb(source.byteLength)} → ${kb(result.byteLength)}, ${args.compress})`);
+}
+
+main().catch((err) => {
+  console.error(`[model:build] ${err.message}`);
+  process.exit(1);
+});
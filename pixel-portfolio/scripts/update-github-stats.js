@@ -0,0 +1,40 @@
+/* GitHub stats snapshot — fetch stars, languages, last push and README excerpts for every project repo.
+ *
+ *   npm run stats:update                     # anonymous API (60 requests/hour)
+ *   GITHUB_TOKEN=… npm run stats:update      # authenticated, for higher limits
+ *
+ * Commit the result so offline builds show stats too; repos that fail keep their old entry.
+ */
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CONTENT_FILE, loadPortfolioContent } from '../plugins/portfolioContent.js';
+import { DEFAULT_SNAPSHOT_FILE, fetchRepoStats, projectRepos, readSnapshot } from '../plugins/githubStats.js';
+
+async function main() {
+  const repos = projectRepos(loadPortfolioContent(path.resolve(DEFAULT_CONTENT_FILE)));
+  const snapshotPath = path.resolve(DEFAULT_SNAPSHOT_FILE);
+  const previous = readSnapshot(snapshotPath);
+  const next = {};
+  let failed = 0;
+
+  for (const repo of repos) {
+    try {
+      next[repo] = await fetchRepoStats(repo, process.env.GITHUB_TOKEN);
+      console.log(`${repo}: ★ ${next[repo].stars}`);
+    } catch (err) {
+      failed += 1;
+      if (previous[repo]) next[repo] = previous[repo];
+      console.warn(`${repo}: ${err.message}${previous[repo] ? ' — keeping the previous entry' : ''}`);
+    }
+  }
+
+  if (repos.length && failed === repos.length) throw new Error('no repo could be fetched — snapshot left untouched');
+
+  fs.writeFileSync(snapshotPath, `${JSON.stringify({ fetchedAt: new Date().toISOString(), repos: next }, null, 2)}\n`);
+  console.log(`Wrote ${path.relative(process.cwd(), snapshotPath)} (${repos.length - failed}/${repos.length} repos refreshed)`);
+}
+
+main().catch((err) => {
+  console.error(`[stats:update] ${err.message}`);
+  process.exit(1);
+});
@@ -1,4 +1,5 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { chapters } from 'virtual:portfolio-content';
 import { SoundProvider, MuteButton } from './components/SoundManager';
 import LoadingScreen from './components/LoadingScreen';
 import ScrollProgress from './components/ScrollProgress';
@@ -6,6 +7,14 @@ import Navbar from './components/Navbar';
 import CursorSparkles from './components/CursorSparkles';
 import ParticleBackground from './components/ParticleBackground';
 import CharacterScene3D from './components/CharacterScene3D';
+import MotionToggle from './components/MotionToggle';
+import ThemeToggle from './components/ThemeToggle';
+import EffectsSettings from './components/EffectsSettings';
+import SoundSettings from './components/SoundSettings';
+import ProjectModal from './components/ProjectModal';
+import TrophyPanel from './components/TrophyPanel';
+import AchievementToast from './components/AchievementToast';
+import Resume from './components/Resume';
 import HeroChapter from './components/chapters/HeroChapter';
 import SkillsChapter from './components/chapters/SkillsChapter';
 import EducationChapter from './components/chapters/EducationChapter';
@@ -13,68 +22,99 @@ import ExperienceChapter from './components/chapters/ExperienceChapter';
 import ProjectsChapter from './components/chapters/ProjectsChapter';
 import CertificatesChapter from './components/chapters/CertificatesChapter';
 import ContactChapter from './components/chapters/ContactChapter';
+import { navigation, useNavigation, chapterTabId, chapterPanelId } from './utils/navigationStore';
+import { startHashRouting } from './utils/hashRouter';
+import { startKeyboardNavigation } from './utils/keyboardNavigation';
+import { startGestureNavigation } from './utils/gestureNavigation';
+import { startAchievements } from './utils/achievements';
+import { chapterText, t } from './utils/i18n';
 import './index.css';
 
+// Chapter ids → the component that renders them; keep in step with CHAPTER_IDS in src/shared/content.js
+const chapterComponents = {
+  home: HeroChapter,
+  skills: SkillsChapter,
+  education: EducationChapter,
+  experience: ExperienceChapter,
+  projects: ProjectsChapter,
+  certificates: CertificatesChapter,
+  contact: ContactChapter,
+};
+
 export default function App() {
   const [loaded, setLoaded] = useState(false);
   const onLoadComplete = useCallback(() => setLoaded(true), []);
-  const [activeChapter, setActiveChapter] = useState(0);
+  const activeChapter = useNavigation((s) => s.chapter);
 
-  useEffect(() => {
-    let isDragging = false;
-    let prevX = 0;
-    window.__TARGET_ROTATION = 0;
+  const [announcement, setAnnouncement] = useState('');
+  const panelRefs = useRef([]);
+  const focusPending = useRef(false);
 
-    const checkChapter = () => {
-      let rot = window.__TARGET_ROTATION % (Math.PI * 2);
-      if (rot < 0) rot += Math.PI * 2;
-      // 7 sectors
-      const index = Math.floor((rot / (Math.PI * 2)) * 7);
-      setActiveChapter((prev) => (prev !== index ? index : prev));
-    };
+  // Deep links: restore the chapter from the URL and keep it in sync
+  useEffect(() => startHashRouting(), []);
 
-    // Poll to catch any external updates (like Navbar clicks)
-    const intervalId = setInterval(checkChapter, 100);
+  useEffect(() => startKeyboardNavigation(), []);
 
-    const handleDown = (e) => { isDragging = true; prevX = e.clientX; };
-    const handleUp = () => { isDragging = false; };
-    const handleMove = (e) => {
-      if (isDragging) {
-        window.__TARGET_ROTATION += (e.clientX - prevX) * 0.01;
-        prevX = e.clientX;
-      }
-    };
+  useEffect(() => startGestureNavigation(), []);
 
-    window.addEventListener('pointerdown', handleDown);
-    window.addEventListener('pointerup', handleUp);
-    window.addEventListener('pointermove', handleMove);
+  useEffect(() => startAchievements(), []);
 
-    return () => {
-      clearInterval(intervalId);
-      window.removeEventListener('pointerdown', handleDown);
-      window.removeEventListener('pointerup', handleUp);
-      window.removeEventListener('pointermove', handleMove);
-    };
-  }, []);
+  useEffect(() => navigation.on('chaptersettle', ({ chapter, focus }) => {
+    const { title, nav } = chapterText(chapters[chapter]);
+    focusPending.current = Boolean(focus);
+    setAnnouncement(t('app.chapterAnnouncement', { number: chapter + 1, total: chapters.length, title: title || nav }));
+  }), []);
+
+  // Move focus to the new chapter's heading once its panel is no longer inert
+  useEffect(() => {
+    if (!focusPending.current) return;
+    focusPending.current = false;
+    const heading = panelRefs.current[activeChapter]?.querySelector('h1, h2');
+    if (!heading) return;
+    if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+  }, [activeChapter]);
 
   return (
     <SoundProvider>
       <LoadingScreen onComplete={onLoadComplete} />
       <Navbar />
       <CursorSparkles />
-      <MuteButton />
+      <div className="hud-controls">
+        <MuteButton />
+        <SoundSettings />
+        <MotionToggle />
+        <ThemeToggle />
+        <EffectsSettings />
+        <TrophyPanel />
+      </div>
       <ParticleBackground />
       <CharacterScene3D />
 
       <div className="ui-overlay">
-        <div className={`chapter-container ${activeChapter === 0 ? 'active' : ''}`}><HeroChapter /></div>
-        <div className={`chapter-container ${activeChapter === 1 ? 'active' : ''}`}><SkillsChapter /></div>
-        <div className={`chapter-container ${activeChapter === 2 ? 'active' : ''}`}><EducationChapter /></div>
-        <div className={`chapter-container ${activeChapter === 3 ? 'active' : ''}`}><ExperienceChapter /></div>
-        <div className={`chapter-container ${activeChapter === 4 ? 'active' : ''}`}><ProjectsChapter /></div>
-        <div className={`chapter-container ${activeChapter === 5 ? 'active' : ''}`}><CertificatesChapter /></div>
-        <div className={`chapter-container ${activeChapter === 6 ? 'active' : ''}`}><ContactChapter /></div>
+        {chapters.map((chapter, index) => {
+          const Chapter = chapterComponents[chapter.id];
+          const isActive = activeChapter === index;
+          return (
+            <div
+              key={chapter.id}
+              ref={(el) => (panelRefs.current[index] = el)}
+              id={chapterPanelId(chapter.id)}
+              role="tabpanel"
+              aria-labelledby={chapterTabId(chapter.id)}
+              aria-hidden={!isActive}
+              inert={!isActive}
+              className={`chapter-container ${isActive ? 'active' : ''}`}
+            >
+              {Chapter && <Chapter />}
+            </div>
+          );
+        })}
       </div>
+      <ProjectModal />
+      <AchievementToast />
+      <Resume />
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
     </SoundProvider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import { ACHIEVEMENTS, achievementText, dismissToast, useAchievements } from '../utils/achievements';
+import { useT } from '../utils/i18n';
+
+const TOAST_DURATION = 4000;
+
+// Shows newly unlocked achievements one at a time
+export default function AchievementToast() {
+  const id = useAchievements((s) => s.toasts[0]);
+  const t = useT();
+  const achievement = ACHIEVEMENTS.find((a) => a.id === id);
+  const title = achievement && achievementText(achievement).title;
+
+  useEffect(() => {
+    if (!id) return;
+    const timer = setTimeout(() => dismissToast(id), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [id]);
+
+  return (
+    <div className="achievement-toast-region" role="status" aria-live="polite">
+      {achievement && (
+        <button key={id} className="achievement-toast" onClick={() => dismissToast(id)} aria-label={t('achievements.unlockedLabel', { title })}>
+          <span className="achievement-icon" aria-hidden="true">{achievement.icon}</span>
+          <span>
+            <span className="achievement-toast-label">{t('achievements.unlocked')}</span>
+            <span className="achievement-title">{title}</span>
+          </span>
+        </button>
+      )}
+    </div>
+  );
+}
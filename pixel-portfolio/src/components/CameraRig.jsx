@@ -0,0 +1,38 @@
+import { useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { navigation } from '../utils/navigationStore';
+import { chapterScene } from '../utils/chapterScene';
+import { prefersReducedMotion } from '../utils/motionPreference';
+import { isRtl } from '../utils/i18n';
+
+const EASE = 2.5; // damping rate; higher settles faster
+
+// Chapter framings are written for a left-to-right page; RTL mirrors them with the character
+const toVector = (v, [x, y, z]) => v.set(isRtl() ? -x : x, y, z);
+
+// Eases the camera to the active chapter's framing; reduced motion cuts straight to it
+export default function CameraRig() {
+  const camera = useThree((s) => s.camera);
+  const goal = useRef({ position: new THREE.Vector3(), target: new THREE.Vector3() });
+  const look = useRef(new THREE.Vector3());
+
+  useFrame((_, delta) => {
+    const scene = chapterScene(navigation.getState().chapter);
+    const { position, target } = goal.current;
+    toVector(position, scene.position);
+    toVector(target, scene.target);
+
+    if (prefersReducedMotion()) {
+      camera.position.copy(position);
+      look.current.copy(target);
+    } else {
+      const t = 1 - Math.exp(-EASE * delta);
+      camera.position.lerp(position, t);
+      look.current.lerp(target, t);
+    }
+    camera.lookAt(look.current);
+  });
+
+  return null;
+}
@@ -0,0 +1,36 @@
+import { useSound } from './SoundManager';
+import Dialog from './Dialog';
+import IssuerMonogram from './IssuerMonogram';
+import { issuerOf } from '../utils/certificates';
+import { useT } from '../utils/i18n';
+
+// Details for one certificate
+export default function CertificateDialog({ cert, onClose }) {
+  const { sfxClick } = useSound();
+  const t = useT();
+  const issuer = issuerOf(cert);
+
+  return (
+    <Dialog title={cert.name} titleId="certificate-dialog-title" onClose={onClose}>
+      <div className="cert-issuer">
+        <IssuerMonogram issuer={issuer} size={36} />
+        <div>
+          <div className="card-subtitle">{t('certificates.issuedBy')}</div>
+          {issuer.url ? <a href={issuer.url} target="_blank" rel="noreferrer">{issuer.name}</a> : issuer.name}
+        </div>
+      </div>
+
+      {cert.credentialId && (
+        <dl className="cert-facts">
+          <dt>{t('certificates.credentialId')}</dt><dd className="cert-credential">{cert.credentialId}</dd>
+        </dl>
+      )}
+
+      <div className="project-modal-links">
+        <a href={cert.link} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
+          {t('certificates.issuerPage')}
+        </a>
+      </div>
+    </Dialog>
+  );
+}
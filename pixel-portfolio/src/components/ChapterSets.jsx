@@ -0,0 +1,241 @@
+import { useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { navigation } from '../utils/navigationStore';
+import { chapterScene } from '../utils/chapterScene';
+import { characterAnchor } from '../utils/characterStore';
+import { prefersReducedMotion } from '../utils/motionPreference';
+import { useLocale, isRtl } from '../utils/i18n';
+import { useTheme } from '../utils/themes';
+
+const TAU = Math.PI * 2;
+
+// Grows its set out of the ground while the active chapter uses it, and shrinks it away after
+function SetStage({ id, anchor, children }) {
+  const ref = useRef();
+  const shown = useRef(0);
+
+  useFrame((_, delta) => {
+    const goal = chapterScene(navigation.getState().chapter).set === id ? 1 : 0;
+    shown.current = prefersReducedMotion() ? goal : THREE.MathUtils.damp(shown.current, goal, 4, delta);
+    ref.current.visible = shown.current > 0.01;
+    ref.current.scale.setScalar(Math.max(shown.current, 0.001));
+  });
+
+  return <group ref={ref} position={[anchor.x, anchor.y, 0]} visible={false}>{children}</group>;
+}
+
+// Skills: gems circling the character
+function Orbs({ colors }) {
+  const ring = useRef();
+  useFrame((_, delta) => {
+    if (!prefersReducedMotion()) ring.current.rotation.y += delta * 0.4;
+  });
+  return (
+    <group ref={ring} position={[0, 1, 0]}>
+      {Array.from({ length: 6 }, (_, i) => {
+        const a = (i / 6) * TAU;
+        const color = colors[i % colors.length];
+        return (
+          <mesh key={i} position={[Math.cos(a) * 1.1, Math.sin(a * 2) * 0.15, Math.sin(a) * 1.1]} scale={0.09}>
+            <octahedronGeometry args={[1, 0]} />
+            <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.5} />
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
+
+// Education: a parchment ground with a dotted route between flags
+const ROUTE = Array.from({ length: 9 }, (_, i) => {
+  const t = i / 8;
+  return [-1.2 + t * 2.4, 0.5 - t * 1.0 + Math.sin(t * Math.PI * 2) * 0.25];
+});
+const FLAGS = [0, 4, 8];
+
+function QuestMap({ side, props: p }) {
+  return (
+    <group>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0.005, 0]}>
+        <planeGeometry args={[3.2, 2.2]} />
+        <meshStandardMaterial color={p.ground} />
+      </mesh>
+      {ROUTE.map(([x, z], i) => (
+        <mesh key={i} position={[x * side, 0.02, z]} scale={[0.08, 0.02, 0.08]}>
+          <boxGeometry />
+          <meshStandardMaterial color={p.ink} />
+        </mesh>
+      ))}
+      {FLAGS.map((i, n) => (
+        <group key={i} position={[ROUTE[i][0] * side, 0, ROUTE[i][1]]}>
+          <mesh position={[0, 0.25, 0]} scale={[0.03, 0.5, 0.03]}>
+            <boxGeometry />
+            <meshStandardMaterial color={p.wood} />
+          </mesh>
+          <mesh position={[0.1 * side, 0.42, 0]} scale={[0.2, 0.14, 0.02]}>
+            <boxGeometry />
+            <meshStandardMaterial color={n === FLAGS.length - 1 ? p.gold : p.cloth[n % p.cloth.length]} />
+          </mesh>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+// Experience: guild banners swaying behind the character
+function Banners({ side, props: p }) {
+  const cloths = useRef([]);
+  useFrame((state) => {
+    if (prefersReducedMotion()) return;
+    const t = state.clock.elapsedTime;
+    cloths.current.forEach((cloth, i) => {
+      if (cloth) cloth.rotation.z = Math.sin(t * 1.2 + i) * 0.06;
+    });
+  });
+  return (
+    <>
+      {[-0.9, 0.9].map((x, i) => (
+        <group key={x} position={[x * side, 0, -0.8]}>
+          <mesh position={[0, 1.1, 0]} scale={[0.05, 2.2, 0.05]}>
+            <boxGeometry />
+            <meshStandardMaterial color={p.wood} />
+          </mesh>
+          <mesh position={[0, 2.15, 0]} scale={[0.7, 0.05, 0.05]}>
+            <boxGeometry />
+            <meshStandardMaterial color={p.wood} />
+          </mesh>
+          <group ref={(el) => (cloths.current[i] = el)} position={[0, 2.12, 0.04]}>
+            <mesh position={[0, -0.45, 0]} scale={[0.6, 0.9, 0.02]}>
+              <boxGeometry />
+              <meshStandardMaterial color={p.cloth[i % p.cloth.length]} />
+            </mesh>
+            <mesh position={[0, -0.45, 0.02]} scale={0.12} rotation={[0, 0, Math.PI / 4]}>
+              <boxGeometry />
+              <meshStandardMaterial color={p.gold} />
+            </mesh>
+          </group>
+        </group>
+      ))}
+    </>
+  );
+}
+
+// Projects: treasure chests bobbing around the character
+const CRATES = [[-1.1, 0.9, -0.5], [1.0, 1.4, -0.7], [1.2, 0.5, 0.3], [-0.8, 1.8, -1.0]];
+
+function Crates({ side, props: p }) {
+  const crates = useRef([]);
+  useFrame((state) => {
+    if (prefersReducedMotion()) return;
+    const t = state.clock.elapsedTime;
+    crates.current.forEach((crate, i) => {
+      if (!crate) return;
+      crate.position.y = CRATES[i][1] + Math.sin(t * 1.1 + i * 1.7) * 0.08;
+      crate.rotation.y = Math.sin(t * 0.5 + i) * 0.4;
+    });
+  });
+  return (
+    <>
+      {CRATES.map(([x, y, z], i) => (
+        <group key={i} ref={(el) => (crates.current[i] = el)} position={[x * side, y, z]} scale={0.28}>
+          <mesh>
+            <boxGeometry args={[1, 0.7, 0.7]} />
+            <meshStandardMaterial color={p.wood} />
+          </mesh>
+          <mesh position={[0, 0.2, 0]}>
+            <boxGeometry args={[1.04, 0.1, 0.74]} />
+            <meshStandardMaterial color={p.gold} metalness={0.5} roughness={0.4} />
+          </mesh>
+        </group>
+      ))}
+    </>
+  );
+}
+
+// Certificates: trophy cups turning on the spot
+const TROPHIES = [[-1.0, 1.3, -0.6], [0, 2.1, -1.0], [1.0, 1.3, -0.6]];
+
+function Trophies({ side, props: p }) {
+  const cups = useRef([]);
+  useFrame((state, delta) => {
+    if (prefersReducedMotion()) return;
+    const t = state.clock.elapsedTime;
+    cups.current.forEach((cup, i) => {
+      if (!cup) return;
+      cup.rotation.y += delta * 0.8;
+      cup.position.y = TROPHIES[i][1] + Math.sin(t * 1.3 + i) * 0.06;
+    });
+  });
+  return (
+    <>
+      {TROPHIES.map(([x, y, z], i) => (
+        <group key={i} ref={(el) => (cups.current[i] = el)} position={[x * side, y, z]} scale={i === 1 ? 0.5 : 0.38}>
+          <mesh position={[0, -0.45, 0]}>
+            <boxGeometry args={[0.5, 0.12, 0.5]} />
+            <meshStandardMaterial color={p.wood} />
+          </mesh>
+          <mesh position={[0, -0.25, 0]}>
+            <cylinderGeometry args={[0.06, 0.1, 0.3, 8]} />
+            <meshStandardMaterial color={p.gold} metalness={0.7} roughness={0.3} />
+          </mesh>
+          <mesh position={[0, 0.1, 0]}>
+            <cylinderGeometry args={[0.32, 0.14, 0.45, 12, 1, true]} />
+            <meshStandardMaterial color={p.gold} metalness={0.7} roughness={0.3} side={THREE.DoubleSide} />
+          </mesh>
+        </group>
+      ))}
+    </>
+  );
+}
+
+// Contact: a campfire at the character's feet with a flickering light
+function Campfire({ side, props: p, colors }) {
+  const flames = useRef([]);
+  const light = useRef();
+  useFrame((state) => {
+    if (prefersReducedMotion()) return;
+    const t = state.clock.elapsedTime;
+    flames.current.forEach((flame, i) => {
+      if (flame) flame.scale.y = 0.25 + 0.08 * Math.sin(t * (7 + i * 2) + i);
+    });
+    light.current.intensity = 1.6 + Math.sin(t * 9) * 0.25 + Math.sin(t * 23) * 0.1;
+  });
+  return (
+    <group position={[-0.8 * side, 0, 0.6]}>
+      {[0, TAU / 3, (2 * TAU) / 3].map((a) => (
+        <mesh key={a} position={[0, 0.05, 0]} rotation={[0, a, Math.PI / 2]}>
+          <cylinderGeometry args={[0.05, 0.05, 0.5, 6]} />
+          <meshStandardMaterial color={p.wood} />
+        </mesh>
+      ))}
+      {[0.16, 0.11, 0.07].map((size, i) => (
+        <mesh key={size} ref={(el) => (flames.current[i] = el)} position={[0, 0.14 + i * 0.1, 0]} scale={[size, 0.25, size]}>
+          <boxGeometry />
+          <meshStandardMaterial color={colors[i]} emissive={colors[i]} emissiveIntensity={1} transparent opacity={0.85} />
+        </mesh>
+      ))}
+      <pointLight ref={light} position={[0, 0.4, 0]} intensity={1.6} color={colors[0]} distance={4} />
+    </group>
+  );
+}
+
+/** Every chapter's set, each shown while its chapter is open (see `scene.set` in portfolio.json). */
+export default function ChapterSets() {
+  const { viewport } = useThree();
+  useLocale(); // sets follow the character across when the reading direction flips
+  const anchor = characterAnchor(viewport.width);
+  const side = isRtl() ? -1 : 1;
+  const { props, pixels, fire } = useTheme().scene;
+
+  return (
+    <>
+      <SetStage id="orbs" anchor={anchor}><Orbs colors={pixels} /></SetStage>
+      <SetStage id="questMap" anchor={anchor}><QuestMap side={side} props={props} /></SetStage>
+      <SetStage id="banners" anchor={anchor}><Banners side={side} props={props} /></SetStage>
+      <SetStage id="crates" anchor={anchor}><Crates side={side} props={props} /></SetStage>
+      <SetStage id="trophies" anchor={anchor}><Trophies side={side} props={props} /></SetStage>
+      <SetStage id="campfire" anchor={anchor}><Campfire side={side} props={props} colors={fire.slice(0, 3)} /></SetStage>
+    </>
+  );
+}
@@ -2,57 +2,84 @@ import React, { useRef, useEffect } from 'react';
 import { useGLTF, useAnimations } from '@react-three/drei';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
+import { character, chapters } from 'virtual:portfolio-content';
+import { modelAvailable } from 'virtual:character-model';
+import { navigation, reportRotation } from '../utils/navigationStore';
+import { characterAnchor, characterState, pokeCharacter, MODEL_URL, DRACO_PATH } from '../utils/characterStore';
+import { createAnimationDirector } from '../utils/animationDirector';
+import { motion, prefersReducedMotion } from '../utils/motionPreference';
+import { trackModelProgress } from '../utils/loadingProgress';
+import { useLocale } from '../utils/i18n';
 
 export default function Character3D() {
   const group = useRef();
   const { viewport } = useThree();
+  useLocale(); // re-place the character when the reading direction flips
   
-  const { scene, animations } = useGLTF('https://cdn.jsdelivr.net/gh/mrdoob/three.js@master/examples/models/gltf/RobotExpressive/RobotExpressive.glb');
-  const { actions } = useAnimations(animations, group);
+  const { scene, animations } = useGLTF(MODEL_URL, DRACO_PATH, true, trackModelProgress);
+  const { actions, mixer } = useAnimations(animations, group);
   
-  const activeAnim = useRef('Idle');
+  const activeAnim = useRef(character.animations.idle);
   const targetLook = useRef(new THREE.Vector3());
 
   // Find head and neck bones for tracking
   const neckBone = scene.getObjectByName('Neck');
   const headBone = scene.getObjectByName('Head');
 
+  // Chapter sequences and UI emotes, as configured in portfolio.json
   useEffect(() => {
-    if (actions['Idle']) {
-      actions['Idle'].reset().fadeIn(0.5).play();
-    }
-  }, [actions]);
+    const director = createAnimationDirector(mixer, actions, character.animations, (clip) => {
+      activeAnim.current = clip;
+      characterState.setState({ clip });
+    });
+    // Keyed off the settled chapter so a sweep doesn't start a sequence for every sector it crosses
+    let chapter = navigation.getState().chapter;
+    // Reduced motion keeps the character on its idle loop: no waves, dances or emotes
+    const playChapter = () => {
+      if (prefersReducedMotion()) director.playIdle();
+      else director.playChapter(chapters[chapter].id);
+    };
+    playChapter();
+
+    const offChapter = navigation.on('chaptersettle', (e) => {
+      chapter = e.chapter;
+      playChapter();
+    });
+    let reduced = prefersReducedMotion();
+    const offMotion = motion.subscribe((state) => {
+      if (state.reduced === reduced) return;
+      reduced = state.reduced;
+      playChapter();
+    });
+    const offEmote = characterState.on('emote', (name) => {
+      if (!prefersReducedMotion()) director.playEmote(name);
+    });
+    return () => {
+      offChapter();
+      offMotion();
+      offEmote();
+      director.dispose();
+      mixer.stopAllAction();
+    };
+  }, [actions, mixer]);
 
   // Frame updates: scroll physics, eye tracking, blinking
   useFrame((state, delta) => {
     const t = state.clock.elapsedTime;
     
-    if (actions && window.__TARGET_ROTATION !== undefined) {
-      // Rotate character specifically to the user's drag target, offset by -0.5 so it explicitly faces the "screens" (UI cards)
-      group.current.rotation.y = THREE.MathUtils.lerp(group.current.rotation.y, window.__TARGET_ROTATION - 0.5, delta * 5);
-
-      let rot = window.__TARGET_ROTATION % (Math.PI * 2);
-      if (rot < 0) rot += Math.PI * 2;
-      const index = Math.floor((rot / (Math.PI * 2)) * 7);
-
-      let nextAnim = 'Idle';
-      if (index === 0) nextAnim = 'Wave';
-      else if (index === 1) nextAnim = 'ThumbsUp';
-      else if (index === 2) nextAnim = 'Walking';
-      else if (index === 3) nextAnim = 'Walking';
-      else if (index === 4) nextAnim = 'Dance';
-      else if (index === 5) nextAnim = 'Jump';
-      else if (index === 6) nextAnim = 'ThumbsUp';
+    if (group.current) {
+      const { targetRotation } = navigation.getState();
 
-      if (nextAnim !== activeAnim.current && actions[nextAnim]) {
-        actions[activeAnim.current]?.fadeOut(0.5);
-        actions[nextAnim]?.reset().fadeIn(0.5).play();
-        activeAnim.current = nextAnim;
-      }
+      // Rotate character specifically to the user's drag target, offset by -0.5 so it explicitly faces the "screens" (UI cards)
+      // Reduced motion snaps straight to the chapter instead of swinging round
+      group.current.rotation.y = prefersReducedMotion()
+        ? targetRotation - 0.5
+        : THREE.MathUtils.lerp(group.current.rotation.y, targetRotation - 0.5, delta * 5);
+      reportRotation(group.current.rotation.y + 0.5);
     }
 
     // 1. Hover bob
-    if (group.current) {
+    if (group.current && !prefersReducedMotion()) {
       group.current.position.y = -1.55 + Math.sin(t * 1.5) * 0.05;
     }
 
@@ -63,7 +90,7 @@ export default function Character3D() {
     targetLook.current.x = THREE.MathUtils.lerp(targetLook.current.x, mouseY, 0.1);
     targetLook.current.y = THREE.MathUtils.lerp(targetLook.current.y, mouseX, 0.1);
 
-    if (neckBone && headBone && activeAnim.current === 'Idle') {
+    if (neckBone && headBone && activeAnim.current === character.animations.idle) {
       neckBone.rotation.y = targetLook.current.y * 0.5;
       neckBone.rotation.x = -targetLook.current.x * 0.5;
       headBone.rotation.y = targetLook.current.y * 0.5;
@@ -82,16 +109,21 @@ export default function Character3D() {
     }
   });
 
-  // Responsive positioning: on desktop (viewport width > 5) shift right, on mobile keep center
-  const isMobile = viewport.width < 5;
-  const characterX = isMobile ? 0 : 1.8;
-  const characterY = isMobile ? -2.0 : -1.55;
+  const anchor = characterAnchor(viewport.width);
+
+  // A tap on the character pokes it; a drag across it is still a chapter turn
+  const handleClick = (e) => {
+    if (e.delta > 4) return;
+    e.stopPropagation();
+    pokeCharacter();
+  };
 
   return (
-    <group ref={group} position={[characterX, characterY, 0]} scale={isMobile ? 0.35 : 0.4} rotation={[0, 0, 0]}>
+    <group ref={group} position={[anchor.x, anchor.y, 0]} scale={anchor.scale} rotation={[0, 0, 0]} onClick={handleClick}>
       <primitive object={scene} />
     </group>
   );
 }
 
-useGLTF.preload('https://cdn.jsdelivr.net/gh/mrdoob/three.js@master/examples/models/gltf/RobotExpressive/RobotExpressive.glb');
+// No request at all for a model the build didn't ship
+if (modelAvailable) useGLTF.preload(MODEL_URL, DRACO_PATH, true, trackModelProgress);
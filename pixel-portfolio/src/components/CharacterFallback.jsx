@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+import { navigation } from '../utils/navigationStore';
+
+const OUTLINE = '#2a2420';
+// Presentation attributes can't read CSS variables; inline styles can, so the lights follow the theme
+const ACCENT = { fill: 'var(--primary)' };
+
+// 2D pixel-art stand-in for the 3D robot when WebGL is missing, too slow or lost
+export default function CharacterFallback() {
+  const [waving, setWaving] = useState(false);
+
+  // Wave briefly on every chapter change, like the 3D character's greeting
+  useEffect(() => {
+    let timer;
+    const off = navigation.on('chaptersettle', () => {
+      setWaving(true);
+      clearTimeout(timer);
+      timer = setTimeout(() => setWaving(false), 1200);
+    });
+    return () => {
+      off();
+      clearTimeout(timer);
+    };
+  }, []);
+
+  return (
+    <div className="scene-fixed character-fallback" aria-hidden="true">
+      <svg
+        className={`character-fallback-sprite ${waving ? 'character-fallback-sprite--wave' : ''}`}
+        viewBox="0 0 16 22"
+        shapeRendering="crispEdges"
+        xmlns="http://www.w3.org/2000/svg"
+      >
+        <g stroke={OUTLINE} strokeWidth="0.25">
+          {/* Antenna */}
+          <rect x="7.5" y="1" width="1" height="1.5" fill="#95a5a6" />
+          <rect x="7" y="0" width="2" height="1.2" style={ACCENT} />
+          {/* Head */}
+          <rect x="3" y="2.5" width="10" height="6.5" fill="#bdc3c7" />
+          <rect x="5" y="4.5" width="2" height="2" fill={OUTLINE} />
+          <rect x="9" y="4.5" width="2" height="2" fill={OUTLINE} />
+          <rect x="6" y="7.5" width="4" height="0.6" fill="#7f8c8d" />
+          {/* Neck + body */}
+          <rect x="7" y="9" width="2" height="1" fill="#7f8c8d" />
+          <rect x="4" y="10" width="8" height="6" fill="#95a5a6" />
+          <rect x="7" y="12" width="2" height="2" style={ACCENT} />
+          {/* Arms — the right one waves */}
+          <rect x="2" y="10" width="2" height="5" fill="#a0aab5" />
+          <g className="character-fallback-arm">
+            <rect x="12" y="10" width="2" height="5" fill="#a0aab5" />
+          </g>
+          {/* Legs + boots */}
+          <rect x="5" y="16" width="2" height="4" fill="#7f8c8d" />
+          <rect x="9" y="16" width="2" height="4" fill="#7f8c8d" />
+          <rect x="4" y="20" width="3" height="2" fill="#5c3a1e" />
+          <rect x="9" y="20" width="3" height="2" fill="#5c3a1e" />
+        </g>
+      </svg>
+    </div>
+  );
+}
@@ -1,12 +1,28 @@
-import { Suspense, useRef, useMemo } from 'react';
+import { Component, Suspense, lazy, useRef, useMemo } from 'react';
 import { Canvas, useFrame } from '@react-three/fiber';
-import { Environment } from '@react-three/drei';
+import { PerformanceMonitor } from '@react-three/drei';
+import * as THREE from 'three';
 import Character3D from './Character3D';
+import CameraRig from './CameraRig';
+import ChapterSets from './ChapterSets';
+import CharacterFallback from './CharacterFallback';
 import FireParticles from './FireParticles';
+import { useQuality, downgradeQuality, reportContextLost } from '../utils/quality';
+import { prefersReducedMotion } from '../utils/motionPreference';
+import { reportModelError, useLoading } from '../utils/loadingProgress';
+import { useTheme } from '../utils/themes';
+import { useActiveEffects } from '../utils/visualEffects';
+import { navigation } from '../utils/navigationStore';
+import { chapterScene, INITIAL_CAMERA } from '../utils/chapterScene';
 
-function FloatingPixels() {
-  const count = 30;
+// Rapier's WASM is a sizeable download, so the physics layer loads only on tiers that use it
+const PhysicsProps = lazy(() => import('./PhysicsProps'));
+// Likewise the effect composer, which only loads once an effect is switched on
+const SceneEffects = lazy(() => import('./SceneEffects'));
+
+function FloatingPixels({ count = 30 }) {
   const meshes = useRef([]);
+  const { pixels, glow } = useTheme().scene;
   const positions = useMemo(() =>
     Array.from({ length: count }, () => ({
       x: (Math.random() - 0.5) * 8,
@@ -15,9 +31,12 @@ function FloatingPixels() {
       speed: 0.3 + Math.random() * 0.6,
       offset: Math.random() * Math.PI * 2,
       rotSpeed: (Math.random() - 0.5) * 1.5,
-    })), []);
+      scale: 0.03 + Math.random() * 0.04,
+      opacity: 0.4 + Math.random() * 0.3,
+    })), [count]);
 
   useFrame((state) => {
+    if (prefersReducedMotion()) return;
     const t = state.clock.elapsedTime;
     meshes.current.forEach((mesh, i) => {
       if (!mesh) return;
@@ -32,13 +51,13 @@ function FloatingPixels() {
   return (
     <>
       {positions.map((p, i) => (
-        <mesh key={i} ref={(el) => (meshes.current[i] = el)} position={[p.x, p.y, p.z]} scale={0.03 + Math.random() * 0.04}>
+        <mesh key={i} ref={(el) => (meshes.current[i] = el)} position={[p.x, p.y, p.z]} scale={p.scale}>
           <octahedronGeometry args={[1, 0]} />
           <meshStandardMaterial
-            color={i % 3 === 0 ? '#FF8C00' : i % 3 === 1 ? '#FFa500' : '#e07800'}
-            emissive={i % 2 === 0 ? '#FF8C00' : '#000'}
+            color={pixels[i % pixels.length]}
+            emissive={i % 2 === 0 ? glow[0] : '#000'}
             emissiveIntensity={0.3}
-            transparent opacity={0.4 + Math.random() * 0.3}
+            transparent opacity={p.opacity}
           />
         </mesh>
       ))}
@@ -46,33 +65,115 @@ function FloatingPixels() {
   );
 }
 
+// Fewer lights on weaker tiers; each one costs a pass over every lit fragment
+function SceneLights({ level }) {
+  const { ambient, key, rim, glow } = useTheme().scene;
+  const ambientRef = useRef();
+  const keyRef = useRef();
+  const brightness = useRef(1);
+  // The lone ambient light makes up for the ones the minimal tier drops
+  const ambientIntensity = ambient.intensity + (level === 'minimal' ? 0.2 : 0);
+
+  // Each chapter can dim or brighten the scene (`scene.light`); ease between them
+  useFrame((_, delta) => {
+    const goal = chapterScene(navigation.getState().chapter).light;
+    brightness.current = prefersReducedMotion() ? goal : THREE.MathUtils.damp(brightness.current, goal, 2.5, delta);
+    ambientRef.current.intensity = ambientIntensity * brightness.current;
+    keyRef.current.intensity = key.intensity * brightness.current;
+  });
+
+  return (
+    <>
+      <ambientLight ref={ambientRef} intensity={ambientIntensity} color={ambient.color} />
+      <directionalLight ref={keyRef} position={[5, 8, 5]} intensity={key.intensity} color={key.color} castShadow={level === 'full'} />
+      {level !== 'minimal' && <directionalLight position={[-3, 4, -3]} intensity={rim.intensity} color={rim.color} />}
+      {level === 'full' && (
+        <>
+          <pointLight position={[0, 2, 4]} intensity={0.4} color={glow[0]} distance={10} />
+          <pointLight position={[-3, 1, 2]} intensity={0.2} color={glow[1]} distance={8} />
+        </>
+      )}
+    </>
+  );
+}
+
+// A model that fails to download or parse leaves the rest of the scene standing. The 2D character
+// is drawn over the canvas in its place, and the loading screen offers a retry.
+class ModelErrorBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    reportModelError(error);
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
 
+const handleCreated = ({ gl }) => {
+  gl.domElement.addEventListener('webglcontextlost', (e) => {
+    e.preventDefault();
+    reportContextLost();
+  }, { once: true });
+};
 
 export default function CharacterScene3D() {
+  const { tier, dpr, antialias, lights, floatingPixels, fireParticles, chapterSets, physicsProps } = useQuality();
+  const attempt = useLoading((s) => s.attempt);
+  const modelFailed = useLoading((s) => Boolean(s.modelError));
+  const { background } = useTheme().scene;
+  const effects = useActiveEffects();
+
+  if (tier === 'fallback') return <CharacterFallback />;
+
   return (
     <div className="scene-fixed">
       <Canvas
-        camera={{ position: [0, 0.5, 5.5], fov: 40 }}
+        key={antialias ? 'aa' : 'no-aa'} // antialias is fixed at context creation
+        camera={{ position: INITIAL_CAMERA, fov: 40 }}
         style={{ width: '100%', height: '100%' }}
-        gl={{ antialias: true, alpha: true }}
+        dpr={dpr}
+        gl={{ antialias, alpha: true, powerPreference: tier === 'high' ? 'high-performance' : 'default' }}
+        onCreated={handleCreated}
       >
+        {/* Drop a tier when the frame rate keeps sagging */}
+        <PerformanceMonitor onDecline={downgradeQuality} />
+        <CameraRig />
         <Suspense fallback={null}>
-          {/* Warm beige background */}
-          <color attach="background" args={['#F5F0E8']} />
-          <fog attach="fog" args={['#F5F0E8', 10, 20]} />
-
-          {/* Warm lighting setup */}
-          <ambientLight intensity={0.7} color="#fff5e6" />
-          <directionalLight position={[5, 8, 5]} intensity={1.2} color="#fff" castShadow />
-          <directionalLight position={[-3, 4, -3]} intensity={0.3} color="#FFa500" />
-          <pointLight position={[0, 2, 4]} intensity={0.4} color="#FF8C00" distance={10} />
-          <pointLight position={[-3, 1, 2]} intensity={0.2} color="#ffd700" distance={8} />
-
-          <Character3D />
-          <FloatingPixels />
-          <FireParticles count={15} />
+          {/* Background and fog follow the theme so the model fades into the page */}
+          <color attach="background" args={[background]} />
+          <fog attach="fog" args={[background, 10, 20]} />
+
+          <SceneLights level={lights} />
+
+          <ModelErrorBoundary key={attempt}>
+            <Suspense fallback={null}>
+              <Character3D />
+            </Suspense>
+          </ModelErrorBoundary>
+          {floatingPixels > 0 && <FloatingPixels count={floatingPixels} />}
+          {fireParticles > 0 && <FireParticles count={fireParticles} glowing={effects.bloom} />}
+          {chapterSets && <ChapterSets />}
+          {physicsProps > 0 && (
+            // Its own boundary: the character shouldn't wait on the physics engine
+            <Suspense fallback={null}>
+              <PhysicsProps count={physicsProps} />
+            </Suspense>
+          )}
+          {(effects.pixel || effects.bloom || effects.crt) && (
+            <Suspense fallback={null}>
+              <SceneEffects {...effects} antialias={antialias} />
+            </Suspense>
+          )}
         </Suspense>
       </Canvas>
+      {/* DOM can't render inside the canvas, so the stand-in for a missing model sits over it */}
+      {modelFailed && <CharacterFallback />}
     </div>
   );
 }
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { useSound } from './SoundManager';
+import { useT } from '../utils/i18n';
+import { playEmote } from '../utils/characterStore';
+import {
+  CONTACT_ENDPOINT, HONEYPOT_FIELD, MESSAGE_LIMITS, MIN_MESSAGE_LENGTH, mailtoHref, sendContactMessage, validateContactMessage,
+} from '../utils/contactForm';
+
+const EMPTY = { name: '', email: '', message: '', [HONEYPOT_FIELD]: '' };
+
+const FIELDS = [
+  { id: 'name', autoComplete: 'name' },
+  { id: 'email', type: 'email', autoComplete: 'email' },
+  { id: 'message', multiline: true },
+];
+
+export default function ContactForm() {
+  const { sfxClick } = useSound();
+  const t = useT();
+  const [fields, setFields] = useState(EMPTY);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | error
+  const [error, setError] = useState(null);
+
+  const update = (id, value) => {
+    const next = { ...fields, [id]: value };
+    setFields(next);
+    if (touched[id]) setErrors(validateContactMessage(next));
+  };
+
+  const handleBlur = (id) => {
+    setTouched({ ...touched, [id]: true });
+    setErrors(validateContactMessage(fields));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    sfxClick();
+    const found = validateContactMessage(fields);
+    setErrors(found);
+    setTouched({ name: true, email: true, message: true });
+    if (Object.keys(found).length) {
+      e.currentTarget.querySelector('[aria-invalid="true"]')?.focus();
+      return;
+    }
+
+    // No endpoint configured: hand the message to the visitor's mail app
+    if (!CONTACT_ENDPOINT) {
+      window.location.href = mailtoHref(fields);
+      return;
+    }
+
+    setStatus('sending');
+    const result = await sendContactMessage(fields);
+    if (result.ok) {
+      setStatus('sent');
+      setFields(EMPTY);
+      setTouched({});
+      playEmote('linkClick');
+    } else {
+      setStatus('error');
+      setError(result.error);
+      if (result.fieldErrors) setErrors(result.fieldErrors);
+    }
+  };
+
+  // Validation codes → the visitor's language; anything else the endpoint said is shown as is
+  const errorText = (id) => t(`contact.errors.${id}.${errors[id]}`, {
+    min: MIN_MESSAGE_LENGTH, max: MESSAGE_LIMITS[id], defaultValue: errors[id],
+  });
+
+  if (status === 'sent') {
+    return (
+      <div className="contact-form contact-form--sent" role="status">
+        <p className="contact-form-title">{t('contact.form.sentTitle')}</p>
+        <p className="card-body">{t('contact.form.sentBody')}</p>
+        <button className="btn-warm btn-warm--small btn-warm--outline" onClick={() => setStatus('idle')}>{t('contact.form.sendAnother')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit} noValidate>
+      <p className="contact-form-title">{t('contact.form.title')}</p>
+      {FIELDS.map((f) => {
+        const Input = f.multiline ? 'textarea' : 'input';
+        const invalid = Boolean(touched[f.id] && errors[f.id]);
+        return (
+          <label key={f.id} className="contact-field">
+            <span>{t(`contact.form.${f.id}`)}</span>
+            <Input
+              name={f.id}
+              type={f.multiline ? undefined : f.type || 'text'}
+              rows={f.multiline ? 5 : undefined}
+              autoComplete={f.autoComplete}
+              maxLength={MESSAGE_LIMITS[f.id]}
+              value={fields[f.id]}
+              onChange={(e) => update(f.id, e.target.value)}
+              onBlur={() => handleBlur(f.id)}
+              aria-invalid={invalid}
+              aria-describedby={invalid ? `contact-${f.id}-error` : undefined}
+              required
+            />
+            {invalid && <span id={`contact-${f.id}-error`} className="contact-field-error">{errorText(f.id)}</span>}
+          </label>
+        );
+      })}
+
+      {/* Honeypot: off-screen and skipped by keyboard and screen readers, so only bots fill it */}
+      <label className="contact-honeypot" aria-hidden="true">
+        {t('contact.form.honeypot')}
+        <input
+          name={HONEYPOT_FIELD}
+          tabIndex={-1}
+          autoComplete="off"
+          value={fields[HONEYPOT_FIELD]}
+          onChange={(e) => update(HONEYPOT_FIELD, e.target.value)}
+        />
+      </label>
+
+      {status === 'error' && <p className="contact-field-error" role="alert">{error}</p>}
+      <button type="submit" className="btn-warm" disabled={status === 'sending'}>
+        {t(status === 'sending' ? 'contact.form.sending' : CONTACT_ENDPOINT ? 'contact.form.send' : 'contact.form.mailApp')}
+      </button>
+    </form>
+  );
+}
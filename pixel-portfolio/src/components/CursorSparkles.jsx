@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import { gsap } from 'gsap';
+import { prefersReducedMotion } from '../utils/motionPreference';
 
 export default function CursorSparkles() {
   const [sparkles, setSparkles] = useState([]);
@@ -22,7 +23,9 @@ export default function CursorSparkles() {
 
     const handlePointerDown = (e) => {
       // Animate the robotic finger clicking
-      gsap.to(fingerRef.current, { rotation: 25, y: 3, duration: 0.1, ease: 'power2.out' });
+      const reduced = prefersReducedMotion();
+      gsap.to(fingerRef.current, { rotation: 25, y: 3, duration: reduced ? 0 : 0.1, ease: 'power2.out' });
+      if (reduced) return;
 
       // Generate sparkles
       const newSparkles = Array.from({ length: 12 }).map((_, i) => ({
@@ -38,7 +41,7 @@ export default function CursorSparkles() {
 
     const handlePointerUp = () => {
       // Release finger
-      gsap.to(fingerRef.current, { rotation: 0, y: 0, duration: 0.2, ease: 'back.out(2)' });
+      gsap.to(fingerRef.current, { rotation: 0, y: 0, duration: prefersReducedMotion() ? 0 : 0.2, ease: 'back.out(2)' });
     };
 
     window.addEventListener('pointermove', handlePointerMove, { passive: true });
@@ -69,7 +72,7 @@ export default function CursorSparkles() {
         .sparkle-part {
           position: absolute;
           width: 8px; height: 8px;
-          background: #FF8C00;
+          background: var(--primary);
           clip-path: polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%);
           animation: spark-shoot 0.6s cubic-bezier(0.16, 1, 0.3, 1) forwards;
         }
@@ -130,7 +133,7 @@ export default function CursorSparkles() {
             <path d="M8 22 L2 26 L4 32 L8 28 Z" fill="#95a5a6" stroke="#2a2420" strokeWidth="1.5" strokeLinejoin="round"/>
 
             {/* Palm Details (Glowing Core) */}
-            <circle cx="17" cy="28" r="4.5" fill="#FF8C00" opacity="0.9"/>
+            <circle cx="17" cy="28" r="4.5" style={{ fill: 'var(--primary)' }} opacity="0.9"/>
             <circle cx="17" cy="28" r="2" fill="#FFEAA7"/>
           </g>
         </svg>
@@ -26,7 +26,7 @@ export default function CustomCursor() {
     window.addEventListener('mousemove', onMove, { passive: true });
 
     const addHoverListeners = () => {
-      const els = document.querySelectorAll('a, button, .glass-card, .skill-badge, .social-link, .btn-pixel, .cert-card');
+      const els = document.querySelectorAll('a, button, .glass-card, .skill-node, .social-link, .btn-pixel, .cert-card');
       els.forEach(el => {
         el.addEventListener('mouseenter', onEnter);
         el.addEventListener('mouseleave', onLeave);
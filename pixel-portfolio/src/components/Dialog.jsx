@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useT } from '../utils/i18n';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), video[controls], [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal dialog, portalled to <body> so a chapter's transform can't trap it.
+ * Focus moves to the close button and returns to the opener afterwards;
+ * Escape, ✕ and the backdrop all call `onClose`.
+ */
+export default function Dialog({ title, titleId, onClose, children }) {
+  const panelRef = useRef(null);
+  const t = useT();
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    panelRef.current?.querySelector('.dialog-close')?.focus();
+    return () => opener?.focus?.({ preventScroll: true });
+  }, []);
+
+  // Escape closes; Tab wraps around inside the dialog
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = [...panelRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable.at(-1);
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return createPortal(
+    <div className="dialog" role="dialog" aria-modal="true" aria-labelledby={titleId} onKeyDown={handleKeyDown}>
+      <div className="dialog-backdrop" onClick={onClose} />
+      <div className="dialog-panel warm-card" ref={panelRef}>
+        <div className="dialog-header">
+          <h3 id={titleId} className="card-title">{title}</h3>
+          <button className="hud-btn dialog-close" onClick={onClose} aria-label={t('dialog.close')}>✕</button>
+        </div>
+        {children}
+      </div>
+    </div>,
+    document.body,
+  );
+}
@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSound } from './SoundManager';
+import { EFFECT_IDS, setEffect, useVisualEffects } from '../utils/visualEffects';
+import { useQuality } from '../utils/quality';
+import { useT } from '../utils/i18n';
+
+export default function EffectsSettings() {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const chosen = useVisualEffects((s) => s);
+  const { tier, effects: allowed } = useQuality();
+  const { sfxClick } = useSound();
+  const t = useT();
+
+  // Close on Escape or a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === 'Escape' && setOpen(false);
+    const onPointer = (e) => !rootRef.current?.contains(e.target) && setOpen(false);
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('pointerdown', onPointer);
+    return () => {
+      window.removeEventListener('keydown', onKey);
+      window.removeEventListener('pointerdown', onPointer);
+    };
+  }, [open]);
+
+  // No 3D scene to post-process
+  if (tier === 'fallback') return null;
+
+  const toggle = (id, enabled) => {
+    sfxClick();
+    setEffect(id, enabled);
+  };
+
+  return (
+    <div className="effects-settings" ref={rootRef}>
+      <button
+        className="hud-btn"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="effects-settings-panel"
+        aria-label={t('effects.settings')}
+        title={t('effects.settings')}
+      >
+        📺
+      </button>
+
+      {open && (
+        <div id="effects-settings-panel" className="sound-panel" role="group" aria-label={t('effects.settings')}>
+          {EFFECT_IDS.map((id) => (
+            <label key={id} className="sound-panel-toggle">
+              <input
+                type="checkbox"
+                checked={chosen[id] && allowed.includes(id)}
+                disabled={!allowed.includes(id)}
+                onChange={(e) => toggle(id, e.target.checked)}
+              />
+              {t(`effects.names.${id}`)}
+            </label>
+          ))}
+          {allowed.length < EFFECT_IDS.length && <p className="effects-panel-note">{t('effects.limited')}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,14 @@
 import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
+import { prefersReducedMotion } from '../utils/motionPreference';
+import { useTheme } from '../utils/themes';
 
-export default function FireParticles({ count = 25 }) {
+// With bloom on, the embers burn past the bloom threshold; nothing else in the scene gets that bright
+const BLOOM_GLOW = 6;
+
+export default function FireParticles({ count = 25, glowing = false }) {
   const meshes = useRef([]);
+  const colors = useTheme().scene.fire;
   const data = useMemo(() =>
     Array.from({ length: count }, () => ({
       x: (Math.random() - 0.5) * 5,
@@ -15,6 +21,7 @@ export default function FireParticles({ count = 25 }) {
     })), [count]);
 
   useFrame((state) => {
+    if (prefersReducedMotion()) return;
     const t = state.clock.elapsedTime;
     meshes.current.forEach((mesh, i) => {
       if (!mesh) return;
@@ -29,8 +36,6 @@ export default function FireParticles({ count = 25 }) {
     });
   });
 
-  const colors = ['#FF4500', '#FF6B00', '#FF8C00', '#FFa500', '#FFD700', '#FF3300'];
-
   return (
     <>
       {data.map((d, i) => (
@@ -39,7 +44,7 @@ export default function FireParticles({ count = 25 }) {
           <meshStandardMaterial
             color={colors[i % colors.length]}
             emissive={colors[i % colors.length]}
-            emissiveIntensity={0.8}
+            emissiveIntensity={glowing ? BLOOM_GLOW : 0.8}
             transparent
             opacity={0.7}
             depthWrite={false}
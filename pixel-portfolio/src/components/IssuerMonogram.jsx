@@ -0,0 +1,8 @@
+// The issuer's initial on a tile
+export default function IssuerMonogram({ issuer, size = 28 }) {
+  return (
+    <span className="issuer-monogram" style={{ width: size, height: size }} aria-hidden="true">
+      {issuer.name.charAt(0)}
+    </span>
+  );
+}
@@ -1,41 +1,98 @@
 import { useRef, useEffect, useState } from 'react';
 import { gsap } from 'gsap';
+import { useProgress } from '@react-three/drei';
+import { prefersReducedMotion } from '../utils/motionPreference';
+import { useQuality, switchToFallback } from '../utils/quality';
+import { useLoading, retryModel, startFontTracking, finishLoading } from '../utils/loadingProgress';
+import { useT } from '../utils/i18n';
+
+// Give up waiting (and offer a retry) after this long without the model
+const LOAD_TIMEOUT = 20000;
+// Share of the bar that belongs to the 3D assets; fonts fill the rest
+const ASSET_WEIGHT = 90;
 
 export default function LoadingScreen({ onComplete }) {
+  const t = useT();
   const containerRef = useRef();
-  const barRef = useRef();
   const [visible, setVisible] = useState(true);
+  const [skipped, setSkipped] = useState(false);
+  const [timedOutAttempt, setTimedOutAttempt] = useState(-1);
+
+  const { tier } = useQuality();
+  const { active, progress, loaded, total } = useProgress();
+  const modelBytes = useLoading((s) => s.modelBytes);
+  const modelError = useLoading((s) => s.modelError);
+  const fontsReady = useLoading((s) => s.fontsReady);
+  const attempt = useLoading((s) => s.attempt);
+
+  // The 2D fallback doesn't wait on the model at all
+  const needsModel = tier !== 'fallback';
+  const failed = needsModel && Boolean(modelError);
+  const assetsDone = !needsModel || (!active && total > 0 && loaded === total && !modelError);
+  const ready = skipped || (assetsDone && fontsReady);
+  const timedOut = !ready && !failed && timedOutAttempt === attempt;
+
+  const assetShare = assetsDone ? 1 : Math.min(Math.max(modelBytes, progress / 100), 0.99);
+  const percent = ready ? 100 : Math.round(assetShare * ASSET_WEIGHT + (fontsReady ? 100 - ASSET_WEIGHT : 0));
+
+  useEffect(() => startFontTracking(), []);
 
+  // Restarted on every retry
   useEffect(() => {
+    const timer = setTimeout(() => setTimedOutAttempt(attempt), LOAD_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [attempt]);
+
+  useEffect(() => {
+    if (!ready) return;
     const tl = gsap.timeline({
       onComplete: () => {
         setVisible(false);
+        finishLoading();
         onComplete?.();
       }
     });
 
-    tl.to(barRef.current, {
-      width: '100%',
-      duration: 1.2,
-      ease: 'power2.inOut',
-    })
-    .to(containerRef.current, {
+    tl.to(containerRef.current, {
       opacity: 0,
       duration: 0.4,
+      delay: 0.3, // let the bar visibly reach 100%
       ease: 'power2.in',
     });
+    // Reduced motion: skip the fade and go straight to the page
+    if (prefersReducedMotion()) tl.progress(1);
 
     return () => tl.kill();
-  }, [onComplete]);
+  }, [ready, onComplete]);
 
   if (!visible) return null;
 
+  let status = t('loading.booting', { percent });
+  if (failed) status = t('loading.failed');
+  else if (timedOut) status = t('loading.stillBooting');
+
   return (
     <div ref={containerRef} className="loading-screen">
-      <div className="loading-text">BOOTING...</div>
-      <div className="loading-bar-track">
-        <div ref={barRef} className="loading-bar-fill" />
+      <div className="loading-text" role="status">{status}</div>
+      <div
+        className="loading-bar-track"
+        role="progressbar"
+        aria-label={t('loading.label')}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className={`loading-bar-fill ${failed ? 'loading-bar-fill--error' : ''}`} style={{ width: `${percent}%` }} />
       </div>
+
+      {(failed || timedOut) && (
+        <div className="loading-actions">
+          <button className="btn-warm btn-warm--small" onClick={retryModel}>{t('loading.retry')}</button>
+          {failed
+            ? <button className="btn-warm btn-warm--small btn-warm--outline" onClick={switchToFallback}>{t('loading.continue2d')}</button>
+            : <button className="btn-warm btn-warm--small btn-warm--outline" onClick={() => setSkipped(true)}>{t('loading.continueAnyway')}</button>}
+        </div>
+      )}
     </div>
   );
 }
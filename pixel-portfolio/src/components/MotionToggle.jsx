@@ -0,0 +1,26 @@
+import { useSound } from './SoundManager';
+import { toggleReducedMotion, useReducedMotion } from '../utils/motionPreference';
+import { useT } from '../utils/i18n';
+
+export default function MotionToggle() {
+  const reduced = useReducedMotion();
+  const { sfxClick } = useSound();
+  const t = useT();
+
+  const handleClick = () => {
+    sfxClick();
+    toggleReducedMotion();
+  };
+
+  return (
+    <button
+      className="hud-btn"
+      onClick={handleClick}
+      aria-pressed={reduced}
+      aria-label={t('hud.reduceMotion')}
+      title={t(reduced ? 'hud.restoreMotion' : 'hud.reduceMotion')}
+    >
+      {reduced ? '💤' : '✨'}
+    </button>
+  );
+}
@@ -1,55 +1,60 @@
-import { useState, useEffect } from 'react';
+import { useRef } from 'react';
+import { chapters } from 'virtual:portfolio-content';
 import { useSound } from './SoundManager';
-
-const navLinks = [
-  { id: 'home', label: 'HOME', index: 0 },
-  { id: 'skills', label: 'SKILLS', index: 1 },
-  { id: 'education', label: 'EDUCATION', index: 2 },
-  { id: 'experience', label: 'EXPERIENCE', index: 3 },
-  { id: 'projects', label: 'PROJECTS', index: 4 },
-  { id: 'certificates', label: 'CERTS', index: 5 },
-  { id: 'contact', label: 'CONTACT', index: 6 },
-];
+import { goToChapter, useNavigation, chapterTabId, chapterPanelId } from '../utils/navigationStore';
+import { chapterForKey } from '../utils/keyboardNavigation';
+import { LOCALES, chapterText, setLocale, useLocale, useT } from '../utils/i18n';
 
 export default function Navbar() {
-  const [active, setActive] = useState('');
+  const activeIndex = useNavigation((s) => s.chapter);
   const { sfxClick } = useSound();
-
-  useEffect(() => {
-    // Poll the global rot value to update active navbar state smoothly
-    const interval = setInterval(() => {
-      if (window.__TARGET_ROTATION !== undefined) {
-        let rot = window.__TARGET_ROTATION % (Math.PI * 2);
-        if (rot < 0) rot += Math.PI * 2;
-        const index = Math.floor((rot / (Math.PI * 2)) * 7);
-        const match = navLinks.find(l => l.index === index);
-        setActive(match ? match.id : '');
-      }
-    }, 100);
-    return () => clearInterval(interval);
-  }, []);
+  const tabRefs = useRef([]);
+  const t = useT();
+  const locale = useLocale();
+  const navLinks = chapters.map((c, index) => ({ id: c.id, label: chapterText(c).nav, index }));
 
   const handleClick = (index) => {
     sfxClick();
-    if (window.__TARGET_ROTATION !== undefined) {
-      // Aim for the center of the sector to ensure robust active-state calculation
-      window.__TARGET_ROTATION = (index + 0.5) * (Math.PI * 2) / 7;
-    }
+    goToChapter(index, { focus: true });
+  };
+
+  // Tab pattern: arrows/Home/End move between tabs and keep focus in the tablist
+  const handleKeyDown = (e) => {
+    const next = chapterForKey(e.key, activeIndex);
+    if (next === null) return;
+    e.preventDefault();
+    goToChapter(next);
+    tabRefs.current[next]?.focus();
   };
 
   return (
-    <nav className="navbar">
-      <div className="navbar-links">
+    <nav className="navbar" aria-label={t('nav.chapters')}>
+      <div className="navbar-links" role="tablist" aria-label={t('nav.chapters')} onKeyDown={handleKeyDown}>
         {navLinks.map((link) => (
           <button
             key={link.id}
-            className={`navbar-link ${active === link.id ? 'navbar-link--active' : ''}`}
+            ref={(el) => (tabRefs.current[link.index] = el)}
+            id={chapterTabId(link.id)}
+            role="tab"
+            aria-selected={activeIndex === link.index}
+            aria-controls={chapterPanelId(link.id)}
+            tabIndex={activeIndex === link.index ? 0 : -1}
+            className={`navbar-link ${activeIndex === link.index ? 'navbar-link--active' : ''}`}
             onClick={() => handleClick(link.index)}
           >
             {link.label}
           </button>
         ))}
       </div>
+      <select
+        className="navbar-lang"
+        value={locale}
+        onChange={(e) => { sfxClick(); setLocale(e.target.value); }}
+        aria-label={t('nav.language')}
+        title={t('nav.language')}
+      >
+        {Object.entries(LOCALES).map(([code, l]) => <option key={code} value={code} lang={code}>{l.name}</option>)}
+      </select>
     </nav>
   );
 }
@@ -1,7 +1,13 @@
 import { useRef, useEffect } from 'react';
+import { useQuality } from '../utils/quality';
+import { useReducedMotion } from '../utils/motionPreference';
+import { useTheme } from '../utils/themes';
 
 export default function ParticleBackground() {
   const canvasRef = useRef(null);
+  const { backgroundParticles: count } = useQuality();
+  const reduced = useReducedMotion();
+  const colors = useTheme().scene.particles;
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -16,14 +22,14 @@ export default function ParticleBackground() {
     resize();
     window.addEventListener('resize', resize);
 
-    const particles = Array.from({ length: 30 }, () => ({
+    const particles = Array.from({ length: count }, () => ({
       x: Math.random() * window.innerWidth,
       y: Math.random() * window.innerHeight,
       size: 1.5 + Math.random() * 3,
       speedY: -0.2 - Math.random() * 0.4,
       speedX: (Math.random() - 0.5) * 0.3,
       opacity: 0.1 + Math.random() * 0.2,
-      color: Math.random() > 0.5 ? '#FF8C00' : '#e07800',
+      color: colors[Math.floor(Math.random() * colors.length)],
     }));
 
     const draw = () => {
@@ -42,7 +48,8 @@ export default function ParticleBackground() {
         if (p.x > canvas.width + 10) p.x = -10;
       });
       ctx.globalAlpha = 1;
-      animId = requestAnimationFrame(draw);
+      // Reduced motion: keep the first frame as a still backdrop
+      if (!reduced) animId = requestAnimationFrame(draw);
     };
     draw();
 
@@ -50,7 +57,9 @@ export default function ParticleBackground() {
       cancelAnimationFrame(animId);
       window.removeEventListener('resize', resize);
     };
-  }, []);
+  }, [count, reduced, colors]);
+
+  if (count === 0) return null;
 
   return <canvas ref={canvasRef} className="particle-bg" />;
 }
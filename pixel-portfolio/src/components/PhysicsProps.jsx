@@ -0,0 +1,199 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html } from '@react-three/drei';
+import { Physics, RigidBody, CuboidCollider, CapsuleCollider } from '@react-three/rapier';
+import { chapters, projects } from 'virtual:portfolio-content';
+import { useNavigation } from '../utils/navigationStore';
+import { skillNodes } from '../utils/skillTree';
+import { characterAnchor, characterState } from '../utils/characterStore';
+import { useReducedMotion } from '../utils/motionPreference';
+import { useTheme } from '../utils/themes';
+
+const BLOCK = 0.22;           // skill and tag cube size
+const CHEST = [0.36, 0.26, 0.26];
+const KNOCK_SPEED = 3;        // m/s a click sends a block flying
+const POKE_RADIUS = 1.4;      // blocks this close to the character are shoved when it's poked
+const SLEEP_CHECK = 0.5;      // seconds between "is everything asleep?" checks
+const BOUNDS = { x: 3.2, z: 1.4, height: 6 };
+
+// Deterministic scatter so a chapter's drop looks the same every visit
+const scatter = (i, salt) => {
+  const x = Math.sin(i * 12.9898 + salt * 78.233) * 43758.5453;
+  return x - Math.floor(x) - 0.5;
+};
+
+/** What falls when a chapter opens: skills as cubes, projects as chests with their tech as cubes. */
+function dropsFor(chapterId, max) {
+  if (chapterId === 'skills') {
+    return [...skillNodes]
+      .sort((a, b) => b.level - a.level)
+      .slice(0, max)
+      .map((node) => ({ key: node.id, name: node.name, kind: 'block', tone: node.categoryIndex }));
+  }
+  if (chapterId === 'projects') {
+    return projects.flatMap((p, i) => [
+      { key: p.slug, name: p.title, kind: 'chest', tone: i },
+      ...p.tags.map((tag) => ({ key: `${p.slug}:${tag}`, name: tag, kind: 'block', tone: i + 1 })),
+    ]).slice(0, max);
+  }
+  return [];
+}
+
+function Prop({ item, index, anchor, resting, colors, props: p, register, onKnock }) {
+  const body = useRef(null);
+  const [hovered, setHovered] = useState(false);
+  const size = item.kind === 'chest' ? CHEST : [BLOCK, BLOCK, BLOCK];
+  // Reduced motion: props start on the floor in a row instead of raining down
+  const position = resting
+    ? [anchor.x - 1.4 + (index % 8) * 0.36, anchor.y + size[1] / 2 + Math.floor(index / 8) * BLOCK, 0.6]
+    : [anchor.x + scatter(index, 1) * 2, anchor.y + 2.5 + index * 0.35, scatter(index, 2) * 1.2];
+
+  const handleClick = (e) => {
+    if (e.delta > 4) return; // that was a drag to turn the character
+    e.stopPropagation();
+    onKnock(body.current, e.ray.direction);
+  };
+
+  return (
+    <RigidBody
+      ref={(rigidBody) => {
+        body.current = rigidBody;
+        register(index, rigidBody);
+      }}
+      position={position}
+      rotation={[0, scatter(index, 3) * Math.PI, 0]}
+      colliders="cuboid"
+      restitution={0.3}
+      friction={0.8}
+    >
+      <group
+        onClick={handleClick}
+        onPointerOver={(e) => { e.stopPropagation(); setHovered(true); }}
+        onPointerOut={() => setHovered(false)}
+      >
+        <mesh>
+          <boxGeometry args={size} />
+          <meshStandardMaterial
+            color={item.kind === 'chest' ? p.wood : colors[item.tone % colors.length]}
+            emissive={hovered ? colors[0] : '#000'}
+            emissiveIntensity={0.4}
+          />
+        </mesh>
+        {item.kind === 'chest' && (
+          <mesh position={[0, size[1] * 0.2, 0]}>
+            <boxGeometry args={[size[0] * 1.04, size[1] * 0.15, size[2] * 1.04]} />
+            <meshStandardMaterial color={p.gold} metalness={0.5} roughness={0.4} />
+          </mesh>
+        )}
+        {hovered && (
+          <Html center position={[0, size[1] + 0.15, 0]} className="physics-label" pointerEvents="none">
+            {item.name}
+          </Html>
+        )}
+      </group>
+    </RigidBody>
+  );
+}
+
+/**
+ * Props for the open chapter that fall into the scene and can be knocked
+ * around, with the character as an obstacle. The world pauses once every
+ * body has gone to sleep and wakes on the next knock, poke or chapter change.
+ */
+export default function PhysicsProps({ count }) {
+  const { viewport } = useThree();
+  const chapter = useNavigation((s) => s.chapter);
+  const { props, pixels } = useTheme().scene;
+  const anchor = characterAnchor(viewport.width);
+  const items = useMemo(() => dropsFor(chapters[chapter].id, count), [chapter, count]);
+  // Chapters without props all share the empty drop, so sweeping past them rebuilds nothing
+  const drop = items.map((item) => item.key).join(' ');
+  const resting = useReducedMotion();
+  const [paused, setPaused] = useState(false);
+  const bodies = useRef([]);
+  const sinceCheck = useRef(0);
+  const colors = useMemo(() => [...pixels, props.gold], [pixels, props.gold]);
+
+  // A new drop needs the world running again
+  const [dropFor, setDropFor] = useState(drop);
+  if (dropFor !== drop) {
+    setDropFor(drop);
+    setPaused(false);
+  }
+
+  const register = (index, body) => {
+    bodies.current[index] = body;
+  };
+
+  const knock = (body, direction) => {
+    if (!body) return;
+    const mass = body.mass();
+    setPaused(false);
+    body.applyImpulse({
+      x: direction.x * KNOCK_SPEED * mass,
+      y: KNOCK_SPEED * mass,
+      z: direction.z * KNOCK_SPEED * mass,
+    }, true);
+    body.applyTorqueImpulse({ x: (Math.random() - 0.5) * mass * 0.04, y: 0, z: (Math.random() - 0.5) * mass * 0.04 }, true);
+  };
+
+  // Poking the character shoves whatever is piled up around it
+  useEffect(() => characterState.on('poke', () => {
+    setPaused(false);
+    bodies.current.forEach((body) => {
+      if (!body) return;
+      const { x, z } = body.translation();
+      const dx = x - anchor.x;
+      const distance = Math.hypot(dx, z);
+      if (distance > POKE_RADIUS) return;
+      const push = (1 - distance / POKE_RADIUS) * KNOCK_SPEED * body.mass();
+      body.applyImpulse({ x: (dx / (distance || 1)) * push, y: push * 0.6, z: (z / (distance || 1)) * push }, true);
+    });
+  }), [anchor.x]);
+
+  useFrame((_, delta) => {
+    if (paused) return;
+    sinceCheck.current += delta;
+    if (sinceCheck.current < SLEEP_CHECK) return;
+    sinceCheck.current = 0;
+
+    const live = bodies.current.slice(0, items.length).filter(Boolean);
+    live.forEach((body) => {
+      // Anything knocked clean out of the scene drops back in from above
+      if (body.translation().y < anchor.y - 3) {
+        body.setTranslation({ x: anchor.x, y: anchor.y + 2.5, z: 0 }, true);
+        body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+      }
+    });
+    if (live.every((body) => body.isSleeping())) setPaused(true);
+  });
+
+  if (items.length === 0) return null;
+
+  return (
+    <Physics key={`${drop}-${resting}`} paused={paused} gravity={[0, -9.81, 0]}>
+      {/* Floor at the character's feet, the character itself, and walls keeping props on screen */}
+      <RigidBody type="fixed" colliders={false}>
+        <CuboidCollider args={[BOUNDS.x, 0.1, BOUNDS.z]} position={[0, anchor.y - 0.1, 0]} />
+        <CapsuleCollider args={[0.45, 0.35]} position={[anchor.x, anchor.y + 0.8, 0]} />
+        <CuboidCollider args={[0.1, BOUNDS.height, BOUNDS.z]} position={[-BOUNDS.x, anchor.y, 0]} />
+        <CuboidCollider args={[0.1, BOUNDS.height, BOUNDS.z]} position={[BOUNDS.x, anchor.y, 0]} />
+        <CuboidCollider args={[BOUNDS.x, BOUNDS.height, 0.1]} position={[0, anchor.y, -BOUNDS.z]} />
+        <CuboidCollider args={[BOUNDS.x, BOUNDS.height, 0.1]} position={[0, anchor.y, BOUNDS.z]} />
+      </RigidBody>
+      {items.map((item, i) => (
+        <Prop
+          key={item.key}
+          item={item}
+          index={i}
+          anchor={anchor}
+          resting={resting}
+          colors={colors}
+          props={props}
+          register={register}
+          onKnock={knock}
+        />
+      ))}
+    </Physics>
+  );
+}
@@ -0,0 +1,93 @@
+import { useEffect, useState } from 'react';
+import repoStats from 'virtual:github-stats';
+import { useSound } from './SoundManager';
+import RepoStats from './RepoStats';
+import Dialog from './Dialog';
+import { closeProject, mediaUrl, useOpenProject } from '../utils/projectView';
+import { playEmote } from '../utils/characterStore';
+import { isRtl, useT } from '../utils/i18n';
+
+function Gallery({ media, title }) {
+  const t = useT();
+  const [index, setIndex] = useState(0);
+  const item = media[index];
+  const step = (delta) => setIndex((index + delta + media.length) % media.length);
+
+  const handleKeyDown = (e) => {
+    if (media.length < 2) return;
+    const forward = isRtl() ? 'ArrowLeft' : 'ArrowRight';
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') step(e.key === forward ? 1 : -1);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <div className="project-gallery" onKeyDown={handleKeyDown}>
+      <div className="project-gallery-stage">
+        {item.type === 'video' ? (
+          <video key={item.src} src={mediaUrl(item.src)} poster={item.poster && mediaUrl(item.poster)} controls playsInline aria-label={item.alt} />
+        ) : (
+          <img key={item.src} src={mediaUrl(item.src)} alt={item.alt} loading="lazy" />
+        )}
+      </div>
+      {media.length > 1 && (
+        <div className="project-gallery-nav">
+          <button className="hud-btn" onClick={() => step(-1)} aria-label={t('projects.previousMedia')}>◀</button>
+          <span aria-live="polite">{index + 1} / {media.length}</span>
+          <button className="hud-btn" onClick={() => step(1)} aria-label={t('projects.nextMedia')}>▶</button>
+        </div>
+      )}
+      <span className="sr-only">{t('projects.galleryHint', { title })}</span>
+    </div>
+  );
+}
+
+// In-page detail view for the project named in `#projects/<slug>`
+export default function ProjectModal() {
+  const project = useOpenProject();
+  const { sfxClick } = useSound();
+  const t = useT();
+
+  useEffect(() => {
+    if (project) playEmote('projectHover');
+  }, [project]);
+
+  if (!project) return null;
+
+  const handleClose = () => {
+    sfxClick();
+    closeProject();
+  };
+
+  return (
+    <Dialog key={project.slug} title={project.title} titleId="project-dialog-title" onClose={handleClose}>
+      {project.media?.length > 0 && <Gallery media={project.media} title={project.title} />}
+
+      <ul className="project-tag-list" aria-label={t('projects.tech')}>
+        {project.tags.map((name) => <li key={name} className="tag-chip">{name}</li>)}
+      </ul>
+      <p className="card-body">{project.desc}</p>
+      <RepoStats slug={project.slug} />
+      {repoStats[project.slug]?.excerpt && (
+        <blockquote className="card-body project-readme">{repoStats[project.slug].excerpt}</blockquote>
+      )}
+      {project.role && <p className="card-body"><strong>{t('projects.role')}</strong> {project.role}</p>}
+      {project.outcomes?.length > 0 && (
+        <ul className="card-body project-outcomes">
+          {project.outcomes.map((o) => <li key={o}>{o}</li>)}
+        </ul>
+      )}
+
+      <div className="project-modal-links">
+        {project.demo && (
+          <a href={project.demo} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>
+            {t('projects.demo')}
+          </a>
+        )}
+        <a href={project.repo} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
+          {t('projects.repo')}
+        </a>
+      </div>
+    </Dialog>
+  );
+}
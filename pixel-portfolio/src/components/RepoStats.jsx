@@ -0,0 +1,19 @@
+import repoStats from 'virtual:github-stats';
+import { formatDate, formatNumber, useT } from '../utils/i18n';
+
+// Stars, top languages and last push for a project's repo, from the build-time snapshot; nothing when unknown
+export default function RepoStats({ slug }) {
+  const stats = repoStats[slug];
+  const t = useT();
+  if (!stats) return null;
+
+  return (
+    <ul className="repo-stats" aria-label={t('projects.repoStats')}>
+      <li title={t('projects.stars')}>★ {formatNumber(stats.stars)}</li>
+      {stats.languages.map((l) => (
+        <li key={l.name}>{l.name} {formatNumber(Math.round(l.share * 100))}%</li>
+      ))}
+      {stats.updatedAt && <li>{t('projects.updated', { date: formatDate(stats.updatedAt.slice(0, 7)) })}</li>}
+    </ul>
+  );
+}
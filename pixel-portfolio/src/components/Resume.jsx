@@ -0,0 +1,85 @@
+import { createPortal } from 'react-dom';
+import { profile, skills, education, experience, projects, certificates } from 'virtual:portfolio-content';
+import { displayUrl } from '../utils/resume';
+import { issuerOf } from '../utils/certificates';
+import { educationDetails, localized, useT } from '../utils/i18n';
+
+/**
+ * A conventional one-column CV built from the same content as the chapters.
+ * Hidden on screen; the print stylesheet shows it instead of the site, so
+ * "Download Résumé" and a plain Ctrl+P both print this.
+ */
+export default function Resume() {
+  const t = useT();
+  return createPortal(
+    <article className="resume">
+      <header className="resume-header">
+        <h1>{profile.firstName} {profile.lastName}</h1>
+        <p className="resume-tagline">{localized('profile.tagline', profile.tagline)}</p>
+        <p className="resume-contact">
+          {profile.email} · {profile.phoneDisplay} · {displayUrl(profile.linkedin)} · {displayUrl(profile.github)}
+        </p>
+        <p>{localized('profile.description', profile.description)}</p>
+      </header>
+
+      <section>
+        <h2>{t('resume.experience')}</h2>
+        {experience.map((e) => (
+          <div key={e.company} className="resume-entry">
+            <div className="resume-entry-head">
+              <strong>{e.role}</strong>, {e.company}
+              {e.link && <span>{displayUrl(e.link)}</span>}
+            </div>
+            <ul>{e.bullets.map((b) => <li key={b}>{b}</li>)}</ul>
+          </div>
+        ))}
+      </section>
+
+      <section>
+        <h2>{t('resume.projects')}</h2>
+        {projects.map((p) => (
+          <div key={p.slug} className="resume-entry">
+            <div className="resume-entry-head">
+              <strong>{p.title}</strong>
+              <span>{displayUrl(p.demo || p.repo)}</span>
+            </div>
+            <p>{p.desc}</p>
+            <p className="resume-muted">{p.tags.join(' · ')}</p>
+          </div>
+        ))}
+      </section>
+
+      <section>
+        <h2>{t('resume.education')}</h2>
+        {education.map((e) => (
+          <div key={e.title} className="resume-entry resume-entry-head">
+            <span><strong>{e.title}</strong>, {e.place}</span>
+            <span>{educationDetails(e)}</span>
+          </div>
+        ))}
+      </section>
+
+      <section>
+        <h2>{t('resume.skills')}</h2>
+        {skills.map((category) => (
+          <p key={category.title}>
+            <strong>{category.title}:</strong> {category.nodes.map((n) => n.name).join(', ')}
+          </p>
+        ))}
+      </section>
+
+      <section>
+        <h2>{t('resume.certifications')}</h2>
+        <ul>
+          {certificates.map((c) => (
+            <li key={c.id}>
+              <strong>{c.name}</strong>, {issuerOf(c).name}
+              {c.credentialId && <span className="resume-muted"> · {t('resume.credentialId', { id: c.credentialId })}</span>}
+            </li>
+          ))}
+        </ul>
+      </section>
+    </article>,
+    document.body,
+  );
+}
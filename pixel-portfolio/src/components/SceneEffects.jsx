@@ -0,0 +1,82 @@
+import { useThree } from '@react-three/fiber';
+import { EffectComposer, Bloom, ToneMapping, Pixelation, Scanline, Vignette, wrapEffect } from '@react-three/postprocessing';
+import { Effect, BlendFunction, ToneMappingMode } from 'postprocessing';
+import { Color, Uniform } from 'three';
+import { useTheme } from '../utils/themes';
+
+const PIXEL_SIZE = 4;    // CSS pixels per "pixel" in pixel mode
+const DITHER_SPREAD = 0.12;
+
+// Ordered (Bayer 4×4) dither onto a fixed palette. Cells line up with the
+// pixelation grid, and colours are compared in a rough gamma space so the
+// darks don't all collapse onto the darkest swatch.
+const DITHER_SHADER = /* glsl */ `
+uniform vec3 palette[PALETTE_SIZE];
+uniform float blockSize;
+uniform float spread;
+
+float bayer2(vec2 a) {
+  a = floor(a);
+  return fract(a.x / 2.0 + a.y * a.y * 0.75);
+}
+
+float bayer4(vec2 a) {
+  return bayer2(0.5 * a) * 0.25 + bayer2(a);
+}
+
+void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+  vec2 cell = floor(gl_FragCoord.xy / blockSize);
+  vec3 color = sqrt(max(inputColor.rgb, 0.0)) + (bayer4(cell) - 0.5) * spread;
+
+  vec3 best = palette[0];
+  float bestGap = 1e6;
+  for (int i = 0; i < PALETTE_SIZE; i++) {
+    vec3 d = color - sqrt(palette[i]);
+    float gap = dot(d, d);
+    if (gap < bestGap) {
+      bestGap = gap;
+      best = palette[i];
+    }
+  }
+  outputColor = vec4(best, inputColor.a);
+}
+`;
+
+class PaletteDitherEffect extends Effect {
+  constructor({ palette, blockSize = 1, spread = DITHER_SPREAD, blendFunction } = {}) {
+    super('PaletteDitherEffect', DITHER_SHADER, {
+      blendFunction,
+      defines: new Map([['PALETTE_SIZE', String(palette.length)]]),
+      uniforms: new Map([
+        ['palette', new Uniform(palette.map((hex) => new Color(hex)))],
+        ['blockSize', new Uniform(blockSize)],
+        ['spread', new Uniform(spread)],
+      ]),
+    });
+  }
+}
+
+const PaletteDither = wrapEffect(PaletteDitherEffect, { blendFunction: BlendFunction.NORMAL });
+
+/**
+ * The post-processing stack. Only mounted while at least one effect is on, so
+ * the default render path stays a plain draw to the screen. Takes over tone
+ * mapping from the renderer, which skips it while a composer is in charge.
+ */
+export default function SceneEffects({ pixel, bloom, crt, antialias }) {
+  const dpr = useThree((s) => s.viewport.dpr);
+  const { palette } = useTheme().scene;
+  const block = Math.round(PIXEL_SIZE * dpr);
+
+  return (
+    // MSAA is wasted on a scene that gets pixelated anyway
+    <EffectComposer multisampling={antialias && !pixel ? 4 : 0}>
+      {bloom && <Bloom mipmapBlur luminanceThreshold={1.6} luminanceSmoothing={0.3} intensity={1.2} />}
+      <ToneMapping mode={ToneMappingMode.ACES_FILMIC} />
+      {pixel && <Pixelation granularity={block} />}
+      {pixel && <PaletteDither palette={palette} blockSize={block} />}
+      {crt && <Scanline density={1.4} opacity={0.12} />}
+      {crt && <Vignette offset={0.3} darkness={0.65} />}
+    </EffectComposer>
+  );
+}
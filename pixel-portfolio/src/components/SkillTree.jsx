@@ -0,0 +1,126 @@
+import { useEffect, useRef, useState } from 'react';
+import { chapters } from 'virtual:portfolio-content';
+import { useSound } from './SoundManager';
+import { skillTiers, skillNodes, skillById, prerequisitesOf, projectsUsingSkill, MAX_SKILL_LEVEL } from '../utils/skillTree';
+import { filterProjectsBySkill, clearProjectFilter, useProjectFilter } from '../utils/projectFilter';
+import { goToChapter } from '../utils/navigationStore';
+import { formatList, useT } from '../utils/i18n';
+
+const PROJECTS_CHAPTER = chapters.findIndex((c) => c.id === 'projects');
+
+// Prerequisite edges as [from, to] skill ids
+const EDGES = skillNodes.flatMap((node) => node.requires.map((req) => [req, node.id]));
+
+export default function SkillTree() {
+  const { sfxHover, sfxClick } = useSound();
+  const t = useT();
+  const selected = useProjectFilter((s) => s.skill);
+  const treeRef = useRef(null);
+  const nodeRefs = useRef(new Map());
+  const [lines, setLines] = useState([]);
+
+  // Edge endpoints come from the laid-out nodes, so re-measure whenever the tree reflows.
+  // offset* ignores the chapter's scale transition, unlike getBoundingClientRect.
+  useEffect(() => {
+    const tree = treeRef.current;
+    const observer = new ResizeObserver(() => {
+      setLines(EDGES.map(([from, to]) => {
+        const a = nodeRefs.current.get(from);
+        const b = nodeRefs.current.get(to);
+        return {
+          from,
+          to,
+          x1: a.offsetLeft + a.offsetWidth / 2,
+          y1: a.offsetTop + a.offsetHeight,
+          x2: b.offsetLeft + b.offsetWidth / 2,
+          y2: b.offsetTop,
+        };
+      }));
+    });
+    observer.observe(tree);
+    return () => observer.disconnect();
+  }, []);
+
+  // The selected skill plus everything it builds on
+  const path = new Set(selected ? [selected, ...prerequisitesOf(selected)] : []);
+  const skill = selected && skillById.get(selected);
+  const used = skill ? projectsUsingSkill(skill.id) : [];
+
+  const handleSelect = (id) => {
+    sfxClick();
+    if (id === selected) clearProjectFilter();
+    else filterProjectsBySkill(id);
+  };
+
+  const showProjects = () => {
+    sfxClick();
+    goToChapter(PROJECTS_CHAPTER, { focus: true });
+  };
+
+  return (
+    <>
+      <div className="skill-tree skills-animate" ref={treeRef}>
+        <svg className="skill-tree-edges" aria-hidden="true">
+          {lines.map((l) => (
+            <path
+              key={`${l.from}-${l.to}`}
+              className={path.has(l.from) && path.has(l.to) ? 'skill-edge skill-edge--lit' : 'skill-edge'}
+              d={`M${l.x1},${l.y1} C${l.x1},${(l.y1 + l.y2) / 2} ${l.x2},${(l.y1 + l.y2) / 2} ${l.x2},${l.y2}`}
+            />
+          ))}
+        </svg>
+
+        {skillTiers.map((tier, depth) => (
+          <div key={depth} className="skill-tier">
+            {tier.map((node) => (
+              <button
+                key={node.id}
+                ref={(el) => (el ? nodeRefs.current.set(node.id, el) : nodeRefs.current.delete(node.id))}
+                className={`skill-node ${path.has(node.id) ? 'skill-node--lit' : ''} ${node.id === selected ? 'skill-node--selected' : ''}`}
+                data-category={node.categoryIndex % 4}
+                aria-pressed={node.id === selected}
+                aria-label={t('skills.nodeLabel', { name: node.name, level: node.level, max: MAX_SKILL_LEVEL })}
+                title={node.category}
+                onMouseEnter={sfxHover}
+                onClick={() => handleSelect(node.id)}
+              >
+                <span className="skill-node-name">{node.name}</span>
+                <span className="skill-pips" aria-hidden="true">
+                  {Array.from({ length: MAX_SKILL_LEVEL }, (_, i) => (
+                    <span key={i} className={i < node.level ? 'skill-pip skill-pip--on' : 'skill-pip'} />
+                  ))}
+                </span>
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="warm-card skill-detail skills-animate" aria-live="polite">
+        {skill ? (
+          <>
+            <div className="card-title" style={{ fontSize: '14px' }}>{skill.name}</div>
+            <div className="card-subtitle">
+              {t('skills.level', { category: skill.category, level: skill.level, max: MAX_SKILL_LEVEL })}
+            </div>
+            {skill.requires.length > 0 && (
+              <p className="card-body">
+                {t('skills.buildsOn', { skills: formatList(skill.requires.map((id) => skillById.get(id).name)) })}
+              </p>
+            )}
+            <p className="card-body">
+              {used.length ? t('skills.usedIn', { projects: formatList(used.map((p) => p.title)) }) : t('skills.unused')}
+            </p>
+            {used.length > 0 && (
+              <button className="btn-warm btn-warm--small" style={{ marginTop: '12px' }} onClick={showProjects}>
+                {t('skills.showProjects', { count: used.length })}
+              </button>
+            )}
+          </>
+        ) : (
+          <p className="card-body">{t('skills.hint')}</p>
+        )}
+      </div>
+    </>
+  );
+}
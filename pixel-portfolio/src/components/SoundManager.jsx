@@ -1,24 +1,23 @@
-import { createContext, useContext, useState, useCallback } from 'react';
-import { playHover, playClick, playSection, playAchievement, resumeAudioContext } from '../utils/sounds';
+import { createContext, useContext, useEffect } from 'react';
+import { playSound, setMuted, startSound, useAudioSettings } from '../utils/sounds';
+import { useT } from '../utils/i18n';
 
-const SoundContext = createContext({
-  muted: false,
-  sfxHover: () => {},
-  sfxClick: () => {},
-  sfxSection: () => {},
-  sfxAchievement: () => {},
-});
+// Stable functions: the settings live in the audio store, not in React state
+const sfx = {
+  sfxHover: () => playSound('hover'),
+  sfxClick: () => playSound('click'),
+  sfxSection: () => playSound('section'),
+  sfxAchievement: () => playSound('achievement'),
+};
 
-export function SoundProvider({ children }) {
-  const [muted, setMuted] = useState(false);
+const SoundContext = createContext(sfx);
 
-  const sfxHover = useCallback(() => { if (!muted) { resumeAudioContext(); playHover(); } }, [muted]);
-  const sfxClick = useCallback(() => { if (!muted) { resumeAudioContext(); playClick(); } }, [muted]);
-  const sfxSection = useCallback(() => { if (!muted) { resumeAudioContext(); playSection(); } }, [muted]);
-  const sfxAchievement = useCallback(() => { if (!muted) { resumeAudioContext(); playAchievement(); } }, [muted]);
+export function SoundProvider({ children }) {
+  // Bus levels, music loop and the autoplay unlock
+  useEffect(() => startSound(), []);
 
   return (
-    <SoundContext.Provider value={{ muted, setMuted, sfxHover, sfxClick, sfxSection, sfxAchievement }}>
+    <SoundContext.Provider value={sfx}>
       {children}
     </SoundContext.Provider>
   );
@@ -29,14 +28,14 @@ export function useSound() {
 }
 
 export function MuteButton() {
-  const { muted, setMuted, sfxClick } = useSound();
+  const muted = useAudioSettings((s) => s.muted);
+  const t = useT();
   const handleClick = () => {
-    resumeAudioContext();
     setMuted(!muted);
-    if (muted) sfxClick(); // play click when unmuting
+    if (muted) playSound('click'); // play click when unmuting
   };
   return (
-    <button className="mute-btn" onClick={handleClick} title={muted ? 'Unmute sounds' : 'Mute sounds'}>
+    <button className="hud-btn" onClick={handleClick} aria-pressed={muted} aria-label={t('hud.mute')} title={t(muted ? 'hud.unmute' : 'hud.mute')}>
       {muted ? '🔇' : '🔊'}
     </button>
   );
@@ -0,0 +1,81 @@
+import { useEffect, useRef, useState } from 'react';
+import { SOUND_PACKS } from '../utils/soundPacks';
+import { playSound, setMusicEnabled, setSoundPack, setVolume, useAudioSettings } from '../utils/sounds';
+import { useT } from '../utils/i18n';
+
+const BUSES = ['master', 'music', 'sfx'];
+
+export default function SoundSettings() {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const pack = useAudioSettings((s) => s.pack);
+  const music = useAudioSettings((s) => s.music);
+  const volume = useAudioSettings((s) => s.volume);
+  const t = useT();
+
+  // Close on Escape or a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === 'Escape' && setOpen(false);
+    const onPointer = (e) => !rootRef.current?.contains(e.target) && setOpen(false);
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('pointerdown', onPointer);
+    return () => {
+      window.removeEventListener('keydown', onKey);
+      window.removeEventListener('pointerdown', onPointer);
+    };
+  }, [open]);
+
+  const choosePack = (id) => {
+    setSoundPack(id);
+    playSound('click'); // preview the new pack
+  };
+
+  return (
+    <div className="sound-settings" ref={rootRef}>
+      <button
+        className="hud-btn"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="sound-settings-panel"
+        aria-label={t('sound.settings')}
+        title={t('sound.settings')}
+      >
+        🎵
+      </button>
+
+      {open && (
+        <div id="sound-settings-panel" className="sound-panel" role="group" aria-label={t('sound.settings')}>
+          <fieldset className="sound-panel-packs">
+            <legend>{t('sound.pack')}</legend>
+            {Object.entries(SOUND_PACKS).map(([id, p]) => (
+              <label key={id}>
+                <input type="radio" name="sound-pack" value={id} checked={pack === id} onChange={() => choosePack(id)} />
+                {t(`sound.packs.${id}`, { defaultValue: p.label })}
+              </label>
+            ))}
+          </fieldset>
+
+          <label className="sound-panel-toggle">
+            <input type="checkbox" checked={music} onChange={(e) => setMusicEnabled(e.target.checked)} />
+            {t('sound.music')}
+          </label>
+
+          {BUSES.map((bus) => (
+            <label key={bus} className="sound-panel-slider">
+              <span>{t(`sound.buses.${bus}`)}</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={volume[bus]}
+                onChange={(e) => setVolume(bus, Number(e.target.value))}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { useSound } from './SoundManager';
+import { THEME_IDS, THEMES, cycleTheme, useThemeId } from '../utils/themes';
+import { useT } from '../utils/i18n';
+
+export default function ThemeToggle() {
+  const id = useThemeId();
+  const { sfxClick } = useSound();
+  const t = useT();
+  const next = THEME_IDS[(THEME_IDS.indexOf(id) + 1) % THEME_IDS.length];
+
+  const handleClick = () => {
+    sfxClick();
+    cycleTheme();
+  };
+
+  return (
+    <button
+      className="hud-btn"
+      onClick={handleClick}
+      aria-label={t('theme.label', { name: t(`theme.names.${id}`) })}
+      title={t('theme.next', { name: t(`theme.names.${next}`) })}
+    >
+      {THEMES[id].icon}
+    </button>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { ACHIEVEMENTS, achievementText, resetAchievements, useAchievements } from '../utils/achievements';
+import { useT } from '../utils/i18n';
+
+export default function TrophyPanel() {
+  const t = useT();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const unlocked = useAchievements((s) => s.unlocked);
+  const progress = useAchievements((s) => s.progress);
+  const count = ACHIEVEMENTS.filter((a) => unlocked[a.id]).length;
+
+  // Close on Escape or a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === 'Escape' && setOpen(false);
+    const onPointer = (e) => !rootRef.current?.contains(e.target) && setOpen(false);
+    window.addEventListener('keydown', onKey);
+    window.addEventListener('pointerdown', onPointer);
+    return () => {
+      window.removeEventListener('keydown', onKey);
+      window.removeEventListener('pointerdown', onPointer);
+    };
+  }, [open]);
+
+  return (
+    <div className="trophies" ref={rootRef}>
+      <button
+        className="hud-btn"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="trophy-panel"
+        aria-label={t('achievements.buttonLabel', { count, total: ACHIEVEMENTS.length })}
+        title={t('achievements.title')}
+      >
+        🏆
+      </button>
+
+      {open && (
+        <div id="trophy-panel" className="sound-panel trophy-panel" role="group" aria-label={t('achievements.title')}>
+          <div className="trophy-panel-count">{t('achievements.count', { count, total: ACHIEVEMENTS.length })}</div>
+          <ul className="trophy-list">
+            {ACHIEVEMENTS.map((a) => {
+              const earned = Boolean(unlocked[a.id]);
+              const secret = a.hidden && !earned;
+              const { title, description } = achievementText(a);
+              return (
+                <li key={a.id} className={earned ? 'trophy trophy--earned' : 'trophy'}>
+                  <span className="achievement-icon" aria-hidden="true">{secret ? '❓' : a.icon}</span>
+                  <span>
+                    <span className="achievement-title">{secret ? '???' : title}</span>
+                    <span className="trophy-desc">{secret ? t('achievements.secret') : description}</span>
+                    {a.goal && !earned && (
+                      <progress className="trophy-progress" max={a.goal} value={progress[a.progress].length}>
+                        {progress[a.progress].length} / {a.goal}
+                      </progress>
+                    )}
+                  </span>
+                  <span className="sr-only">{t(earned ? 'achievements.earned' : 'achievements.locked')}</span>
+                </li>
+              );
+            })}
+          </ul>
+          {count > 0 && (
+            <button className="btn-warm btn-warm--small btn-warm--outline" onClick={resetAchievements}>{t('achievements.reset')}</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
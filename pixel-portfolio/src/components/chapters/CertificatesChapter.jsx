@@ -1,31 +1,91 @@
-import { useRef, useEffect } from 'react';
+import { useRef, useState } from 'react';
+import { certificates, chapters } from 'virtual:portfolio-content';
 import { useSound } from '../SoundManager';
-const certs = [
-  { icon: '🏆', name: 'Oracle GenAI Professional', link: 'https://catalog-education.oracle.com/ords/certview/sharebadge?id=99006C725A8B28FE1D2E6DF8DC38AA6B25C210F68EAD3F2C394919752EFF47B8' },
-  { icon: '🪙', name: 'IBM GenAI Engineering', link: 'https://www.credly.com/badges/1a43872f-1ed4-4a73-8892-65e32a2c0112' },
-  { icon: '⭐', name: 'IBM GenAI Specialization', link: 'https://www.coursera.org/account/accomplishments/specialization/XILFJS0NHMY5' },
-  { icon: '🎖️', name: 'GenAI Coursework', link: 'https://www.coursera.org/account/accomplishments/verify/N92QV54JXWHU' },
-];
+import IssuerMonogram from '../IssuerMonogram';
+import CertificateDialog from '../CertificateDialog';
+import { useChapterEntrance } from '../../utils/chapterEntrance';
+import {
+  CERTIFICATE_SORTS, certificateGroups, issuerOf, sortCertificates, toggleCertificateGrouping, useCertificateView,
+} from '../../utils/certificates';
+import { useChapterText, useT } from '../../utils/i18n';
+
+const meta = chapters.find((c) => c.id === 'certificates');
 
 export default function CertificatesChapter() {
   const sectionRef = useRef();
-  const { sfxAchievement, sfxClick } = useSound();
-  const played = useRef(false);
+  const t = useT();
+  const { number, title } = useChapterText(meta);
+  const { sfxHover, sfxClick } = useSound();
+  const view = useCertificateView((s) => s);
+  const [openId, setOpenId] = useState(null);
+  useChapterEntrance('certificates', sectionRef, '.cert-animate');
+
+  const groups = certificateGroups(view);
+  const open = certificates.find((c) => c.id === openId);
+
+  const handleOpen = (id) => {
+    sfxClick();
+    setOpenId(id);
+  };
+
+  const handleClose = () => {
+    sfxClick();
+    setOpenId(null);
+  };
 
   return (
-    <section ref={sectionRef} className="chapter" id="certificates">
-      <span className="chapter-number cert-animate">Chapter VI</span>
-      <h2 className="chapter-title cert-animate">Achievements Unlocked</h2>
+    <section ref={sectionRef} className="chapter" id="chapter-certificates">
+      <span className="chapter-number cert-animate">{number}</span>
+      <h2 className="chapter-title cert-animate">{title}</h2>
       <hr className="chapter-divider cert-animate" />
-      <div className="cert-grid">
-        {certs.map((c) => (
-          <div key={c.name} className="warm-card cert-card">
-            <span className="cert-icon">{c.icon}</span>
-            <div className="cert-name">{c.name}</div>
-            <a href={c.link} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>View</a>
-          </div>
-        ))}
+
+      <div className="project-toolbar cert-animate">
+        <label className="project-sort">
+          <input
+            type="checkbox"
+            checked={view.grouped}
+            onChange={() => { sfxClick(); toggleCertificateGrouping(); }}
+          />
+          {t('certificates.groupByIssuer')}
+        </label>
+        <label className="project-sort">
+          {t('certificates.sort')}
+          <select value={view.sort} onChange={(e) => { sfxClick(); sortCertificates(e.target.value); }}>
+            {Object.keys(CERTIFICATE_SORTS).map((id) => <option key={id} value={id}>{t(`certificates.sorts.${id}`)}</option>)}
+          </select>
+        </label>
       </div>
+
+      {groups.map((group) => (
+        <div key={group.issuer?.id ?? 'all'} className="cert-group">
+          {group.issuer && (
+            <h3 className="cert-group-title cert-animate">
+              <IssuerMonogram issuer={group.issuer} size={20} />
+              {group.issuer.name}
+            </h3>
+          )}
+          <div className="cert-grid">
+            {group.certificates.map((c) => {
+              const issuer = issuerOf(c);
+              return (
+                <div key={c.id} className="warm-card cert-card cert-animate">
+                  <span className="cert-icon">{c.icon}</span>
+                  <div className="cert-name">{c.name}</div>
+                  <div className="cert-meta">
+                    <IssuerMonogram issuer={issuer} size={18} />
+                    <span>{issuer.name}</span>
+                  </div>
+                  <button className="btn-warm btn-warm--small" onMouseEnter={sfxHover} onClick={() => handleOpen(c.id)}>
+                    {t('certificates.details')}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {open && <CertificateDialog cert={open} onClose={handleClose} />}
     </section>
   );
 }
@@ -1,36 +1,79 @@
-import { useRef, useEffect, useState } from 'react';
+import { useRef, useState } from 'react';
+import { profile, contact, chapters } from 'virtual:portfolio-content';
 import { useSound } from '../SoundManager';
+import ContactForm from '../ContactForm';
+import { playEmote } from '../../utils/characterStore';
+import { useChapterEntrance } from '../../utils/chapterEntrance';
+import { copyToClipboard, downloadVCard } from '../../utils/contactForm';
+import { useChapterText, useT } from '../../utils/i18n';
+
+const meta = chapters.find((c) => c.id === 'contact');
+const COPIED_FOR = 2000;
+
 export default function ContactChapter() {
   const sectionRef = useRef();
-  const { sfxSection, sfxClick } = useSound();
-  const played = useRef(false);
-  const [typed, setTyped] = useState('');
-  const [showCursor, setShowCursor] = useState(true);
-  const fullText = 'The adventure continues...';
+  const t = useT();
+  const { number, title } = useChapterText(meta);
+  const copiedTimer = useRef(null);
+  const { sfxClick } = useSound();
+  const [copied, setCopied] = useState(null); // { what, ok } for the live region
+  useChapterEntrance('contact', sectionRef, '.contact-animate');
+
+  const handleLinkClick = () => {
+    sfxClick();
+    playEmote('linkClick');
+  };
+
+  const handleCopy = async (what, text) => {
+    sfxClick();
+    const ok = await copyToClipboard(text);
+    setCopied({ what, ok });
+    clearTimeout(copiedTimer.current);
+    copiedTimer.current = setTimeout(() => setCopied(null), COPIED_FOR);
+  };
 
+  const handleVCard = () => {
+    sfxClick();
+    downloadVCard();
+  };
 
   return (
-    <section ref={sectionRef} className="chapter" id="contact">
-      <span className="chapter-number contact-animate">Final Chapter</span>
-      <h2 className="chapter-title contact-animate">Let's Work Together!</h2>
+    <section ref={sectionRef} className="chapter" id="chapter-contact">
+      <span className="chapter-number contact-animate">{number}</span>
+      <h2 className="chapter-title contact-animate">{title}</h2>
       <hr className="chapter-divider contact-animate" />
       <div className="social-links contact-animate">
-        <a href="https://mail.google.com/mail/?view=cm&fs=1&to=aryanpawar19122003@gmail.com" target="_blank" rel="noreferrer" className="social-link" onClick={sfxClick}>
-          <span className="icon">📧</span><span>aryanpawar19122003@gmail.com</span><span className="arrow">▶</span>
-        </a>
-        <a href="https://www.linkedin.com/in/aryan-pawar-650458290/" target="_blank" rel="noreferrer" className="social-link" onClick={sfxClick}>
+        <div className="contact-row">
+          <a href={`https://mail.google.com/mail/?view=cm&fs=1&to=${profile.email}`} target="_blank" rel="noreferrer" className="social-link" onClick={handleLinkClick}>
+            <span className="icon">📧</span><span>{profile.email}</span><span className="arrow">▶</span>
+          </a>
+          <button className="hud-btn" onClick={() => handleCopy(t('contact.emailLabel'), profile.email)} aria-label={t('contact.copyEmail')} title={t('contact.copyEmail')}>📋</button>
+        </div>
+        <a href={profile.linkedin} target="_blank" rel="noreferrer" className="social-link" onClick={handleLinkClick}>
           <span className="icon">💼</span><span>LinkedIn</span><span className="arrow">▶</span>
         </a>
-        <a href="https://github.com/aryanpawar123" target="_blank" rel="noreferrer" className="social-link" onClick={sfxClick}>
+        <a href={profile.github} target="_blank" rel="noreferrer" className="social-link" onClick={handleLinkClick}>
           <span className="icon">🐙</span><span>GitHub</span><span className="arrow">▶</span>
         </a>
-        <a href="tel:+917666330853" className="social-link" onClick={sfxClick}>
-          <span className="icon">📞</span><span>+91 76663 30853</span><span className="arrow">▶</span>
-        </a>
+        <div className="contact-row">
+          <a href={`tel:${profile.phone}`} className="social-link" onClick={handleLinkClick}>
+            <span className="icon">📞</span><span>{profile.phoneDisplay}</span><span className="arrow">▶</span>
+          </a>
+          <button className="hud-btn" onClick={() => handleCopy(t('contact.phoneLabel'), profile.phone)} aria-label={t('contact.copyPhone')} title={t('contact.copyPhone')}>📋</button>
+        </div>
+        <p className="contact-copied" role="status">
+          {copied && (copied.ok ? t('contact.copied', { what: copied.what }) : t('contact.copyFailed'))}
+        </p>
+        <button className="btn-warm btn-warm--small btn-warm--outline contact-vcard" onClick={handleVCard}>
+          📇 {t('contact.vcard')}
+        </button>
+      </div>
+      <div className="contact-animate">
+        <ContactForm />
       </div>
       <div className="story-footer contact-animate">
-        <p><span className="typing-text">{fullText}</span></p>
-        <p style={{ marginTop: '14px' }}>© 2026 Aryan Pawar</p>
+        <p><span className="typing-text">{contact.footer}</span></p>
+        <p style={{ marginTop: '14px' }}>{contact.copyright}</p>
       </div>
     </section>
   );
@@ -1,33 +1,43 @@
-import { useRef, useEffect } from 'react';
+import { useRef } from 'react';
+import { experience, chapters } from 'virtual:portfolio-content';
 import { useSound } from '../SoundManager';
+import { useChapterEntrance } from '../../utils/chapterEntrance';
+import { useChapterText } from '../../utils/i18n';
+
+const meta = chapters.find((c) => c.id === 'experience');
+
 export default function ExperienceChapter() {
   const sectionRef = useRef();
-  const { sfxSection, sfxClick } = useSound();
-  const played = useRef(false);
+  const { number, title } = useChapterText(meta);
+  const { sfxClick } = useSound();
+  useChapterEntrance('experience', sectionRef, '.exp-animate');
 
   return (
-    <section ref={sectionRef} className="chapter" id="experience">
-      <span className="chapter-number exp-animate">Chapter IV</span>
-      <h2 className="chapter-title exp-animate">Guild Quests</h2>
+    <section ref={sectionRef} className="chapter" id="chapter-experience">
+      <span className="chapter-number exp-animate">{number}</span>
+      <h2 className="chapter-title exp-animate">{title}</h2>
       <hr className="chapter-divider exp-animate" />
-      <div className="warm-card exp-animate">
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
-          <div>
-            <div className="card-title">Frontend Developer Intern</div>
-            <div className="card-subtitle">Habitroo Archspace Pvt. Ltd.</div>
+      {experience.map((job) => (
+        <div key={`${job.company}-${job.role}`} className="warm-card exp-animate">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '8px' }}>
+            <div>
+              <div className="card-title">{job.role}</div>
+              <div className="card-subtitle">{job.company}</div>
+            </div>
+            <span style={{ fontSize: '28px' }}>{job.icon}</span>
           </div>
-          <span style={{ fontSize: '28px' }}>🏰</span>
-        </div>
-        <ul className="card-body" style={{ marginTop: '14px' }}>
-          <li>Designed responsive UI components using HTML, CSS, and JS.</li>
-          <li>Developed a modern portfolio website for architecture projects.</li>
-        </ul>
-        <div style={{ marginTop: '20px' }}>
-          <a href="https://www.habitroo.com/" target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>
-            Visit Website →
-          </a>
+          <ul className="card-body" style={{ marginTop: '14px' }}>
+            {job.bullets.map((b) => <li key={b}>{b}</li>)}
+          </ul>
+          {job.link && (
+            <div style={{ marginTop: '20px' }}>
+              <a href={job.link} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>
+                Visit Website →
+              </a>
+            </div>
+          )}
         </div>
-      </div>
+      ))}
     </section>
   );
 }
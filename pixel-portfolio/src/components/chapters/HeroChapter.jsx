@@ -1,39 +1,47 @@
-import { useRef, useEffect } from 'react';
+import { useRef } from 'react';
+import { profile } from 'virtual:portfolio-content';
 import { useSound } from '../SoundManager';
+import { useChapterEntrance } from '../../utils/chapterEntrance';
+import { printResume } from '../../utils/resume';
+import { localized, useT } from '../../utils/i18n';
 
 export default function HeroChapter() {
   const sectionRef = useRef();
   const { sfxClick } = useSound();
-
+  useChapterEntrance('home', sectionRef, '.hero-animate');
+  const t = useT();
 
   return (
-    <section ref={sectionRef} className="chapter chapter--hero" id="hero">
+    <section ref={sectionRef} className="chapter chapter--hero" id="chapter-hero">
       <div className="hero-content">
-        <p className="hero-greeting" style={{ transform: 'translateY(20px)' }}>
-          WELCOME, TRAVELER
+        <p className="hero-greeting hero-animate">
+          {localized('profile.greeting', profile.greeting)}
         </p>
-        <h1 className="hero-name" style={{ transform: 'translateY(30px)' }}>
-          Aryan<br /><span>Pawar</span>
+        <h1 className="hero-name hero-animate">
+          {profile.firstName}<br /><span>{profile.lastName}</span>
         </h1>
-        <p className="hero-tagline" style={{ transform: 'translateY(20px)' }}>
-          AI & ML Enthusiast
+        <p className="hero-tagline hero-animate">
+          {localized('profile.tagline', profile.tagline)}
         </p>
-        <p className="hero-desc" style={{ transform: 'translateY(20px)' }}>
-          Crafting intelligent systems at the intersection of deep learning, computer vision, and generative AI.
+        <p className="hero-desc hero-animate">
+          {localized('profile.description', profile.description)}
         </p>
-        <div className="hero-buttons" style={{ transform: 'translateY(20px)' }}>
-          <a href="https://github.com/aryanpawar123" target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>
-            🐙 GitHub
+        <div className="hero-buttons hero-animate">
+          <a href={profile.github} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small" onClick={sfxClick}>
+            🐙 {t('hero.github')}
           </a>
-          <a href="https://www.linkedin.com/in/aryan-pawar-650458290/" target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
-            💼 LinkedIn
+          <a href={profile.linkedin} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
+            💼 {t('hero.linkedin')}
           </a>
-          <a href="mailto:aryanpawar19122003@gmail.com" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
-            📧 Email
+          <a href={`mailto:${profile.email}`} className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
+            📧 {t('hero.email')}
           </a>
+          <button className="btn-warm btn-warm--small btn-warm--outline" onClick={() => { sfxClick(); printResume(); }}>
+            📄 {t('hero.resume')}
+          </button>
         </div>
       </div>
-      <div className="hero-scroll-hint">⟷ DRAG TO ROTATE CHARACTER ⟷</div>
+      <div className="hero-scroll-hint">⟷ {t('hero.dragHint')} ⟷</div>
     </section>
   );
 }
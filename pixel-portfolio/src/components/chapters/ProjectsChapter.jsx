@@ -1,35 +1,93 @@
-import { useRef, useEffect } from 'react';
+import { useRef } from 'react';
+import { projects, chapters } from 'virtual:portfolio-content';
 import { useSound } from '../SoundManager';
-const projects = [
-  { title: 'Blind Assistance System', tech: 'OpenCV, YOLOv10, PyTorch, Streamlit',
-    desc: 'Real-time object detection and distance-estimation with Voice-Controlled AI Navigation using TTS & Speech Recognition.',
-    link: 'https://github.com/aryanpawar123/blind-assistance-system' },
-  { title: 'Weather Report Generator', tech: 'LLM, Python, OpenAI API',
-    desc: 'AI-powered weather analysis using LLMs to generate personalized natural-language summaries based on daily plans.',
-    link: 'https://github.com/arya54/weather-report-generator' },
-  { title: 'Image Caption Generator', tech: 'Deep Learning, CNN, LSTM',
-    desc: 'End-to-end model for automatic image captioning using CNNs for visual feature extraction and attention-based LSTM.',
-    link: 'https://github.com/aryanpawar123/image-caption-generator' },
-];
+import RepoStats from '../RepoStats';
+import { playEmote } from '../../utils/characterStore';
+import { useChapterEntrance } from '../../utils/chapterEntrance';
+import {
+  PROJECT_SORTS, clearProjectFilter, sortProjects, toggleProjectTag, useProjectFilter, visibleProjects,
+} from '../../utils/projectFilter';
+import { openProject } from '../../utils/projectView';
+import { skillById } from '../../utils/skillTree';
+import { useChapterText, useT } from '../../utils/i18n';
+
+const meta = chapters.find((c) => c.id === 'projects');
+const ALL_TAGS = [...new Set(projects.flatMap((p) => p.tags))].sort((a, b) => a.localeCompare(b));
 
 export default function ProjectsChapter() {
   const sectionRef = useRef();
-  const { sfxSection, sfxClick, sfxHover } = useSound();
-  const played = useRef(false);
+  const t = useT();
+  const { number, title } = useChapterText(meta);
+  const { sfxClick, sfxHover } = useSound();
+  useChapterEntrance('projects', sectionRef, '.proj-animate');
+  const skill = useProjectFilter((s) => s.skill);
+  const tag = useProjectFilter((s) => s.tag);
+  const sort = useProjectFilter((s) => s.sort);
+  const shown = visibleProjects(projects, { skill, tag, sort });
+
+  const handleClearFilter = () => {
+    sfxClick();
+    clearProjectFilter();
+  };
+
+  const handleTag = (name) => {
+    sfxClick();
+    toggleProjectTag(name);
+  };
+
+  const handleOpen = (slug) => {
+    sfxClick();
+    openProject(slug);
+  };
 
   return (
-    <section ref={sectionRef} className="chapter" id="projects">
-      <span className="chapter-number proj-animate">Chapter V</span>
-      <h2 className="chapter-title proj-animate">The Inventory</h2>
+    <section ref={sectionRef} className="chapter" id="chapter-projects">
+      <span className="chapter-number proj-animate">{number}</span>
+      <h2 className="chapter-title proj-animate">{title}</h2>
       <hr className="chapter-divider proj-animate" />
-      {projects.map((p) => (
-        <div key={p.title} className="warm-card project-card" onMouseEnter={sfxHover}>
+
+      <div className="project-toolbar proj-animate">
+        <div className="project-tag-list" role="group" aria-label={t('projects.filterByTech')}>
+          {ALL_TAGS.map((name) => (
+            <button key={name} className="tag-chip" aria-pressed={name === tag} onClick={() => handleTag(name)}>{name}</button>
+          ))}
+        </div>
+        <label className="project-sort">
+          {t('projects.sort')}
+          <select value={sort} onChange={(e) => sortProjects(e.target.value)}>
+            {Object.keys(PROJECT_SORTS).map((id) => <option key={id} value={id}>{t(`projects.sorts.${id}`)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {(skill || tag) && (
+        <div className="project-filter" role="status">
+          <span>
+            {t('projects.filterStatus', {
+              count: shown.length,
+              filter: [skill && skillById.get(skill).name, tag].filter(Boolean).join(' + '),
+            })}
+          </span>
+          <button className="project-filter-clear" onClick={handleClearFilter} aria-label={t('projects.showAll')}>✕</button>
+        </div>
+      )}
+
+      {shown.map((p) => (
+        <div key={p.slug} className="warm-card project-card proj-animate" onMouseEnter={() => { sfxHover(); playEmote('projectHover'); }}>
           <div className="card-title">{p.title}</div>
-          <span className="card-tech">{p.tech}</span>
+          <div className="project-tag-list">
+            {p.tags.map((name) => (
+              <button key={name} className="tag-chip" aria-pressed={name === tag} onClick={() => handleTag(name)}>{name}</button>
+            ))}
+          </div>
           <p className="card-body">{p.desc}</p>
-          <div style={{ marginTop: '16px' }}>
-            <a href={p.link} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
-              GitHub Repo →
+          <RepoStats slug={p.slug} />
+          <div className="project-card-links">
+            <button className="btn-warm btn-warm--small" onClick={() => handleOpen(p.slug)} aria-label={t('projects.detailsFor', { title: p.title })}>
+              {t('projects.details')}
+            </button>
+            <a href={p.repo} target="_blank" rel="noreferrer" className="btn-warm btn-warm--small btn-warm--outline" onClick={sfxClick}>
+              {t('projects.repo')}
             </a>
           </div>
         </div>
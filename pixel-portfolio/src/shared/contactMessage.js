@@ -0,0 +1,37 @@
+/* Contact Message — the contact form's fields and validation, shared by the form and the dev mock endpoint */
+
+export const HONEYPOT_FIELD = '_gotcha'; // Formspree's name for it; hidden from people, filled in by bots
+
+export const MESSAGE_LIMITS = {
+  name: 100,
+  email: 254,
+  message: 5000,
+};
+
+export const MIN_MESSAGE_LENGTH = 10;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// English wording for each problem code; the site shows its own translations (contact.errors in src/locales)
+export const CONTACT_ERROR_MESSAGES = {
+  name: { required: 'Please tell me your name.', tooLong: `Keep it under ${MESSAGE_LIMITS.name} characters.` },
+  email: { required: 'I need an email to reply to.', invalid: "That email doesn't look right." },
+  message: { tooShort: `Write at least ${MIN_MESSAGE_LENGTH} characters.`, tooLong: `Keep it under ${MESSAGE_LIMITS.message} characters.` },
+};
+
+/** Field → problem code for everything wrong with a message; empty when it can be sent. */
+export function validateContactMessage({ name = '', email = '', message = '' } = {}) {
+  const errors = {};
+  // Anything but a string (a number, null, an object…) can only come from a hand-made request
+  if (typeof name !== 'string') errors.name = 'required';
+  else if (!name.trim()) errors.name = 'required';
+  else if (name.length > MESSAGE_LIMITS.name) errors.name = 'tooLong';
+
+  if (typeof email !== 'string') errors.email = 'invalid';
+  else if (!email.trim()) errors.email = 'required';
+  else if (email.length > MESSAGE_LIMITS.email || !EMAIL_RE.test(email.trim())) errors.email = 'invalid';
+
+  if (typeof message !== 'string') errors.message = 'tooShort';
+  else if (message.trim().length < MIN_MESSAGE_LENGTH) errors.message = 'tooShort';
+  else if (message.length > MESSAGE_LIMITS.message) errors.message = 'tooLong';
+  return errors;
+}
@@ -0,0 +1,6 @@
+/* Content — constants the content schema checks and the site renders with; no virtual imports, so the build plugins can load it in Node */
+
+export const MAX_SKILL_LEVEL = 5;
+
+// Chapters the site has a component for (chapterComponents in src/App.jsx); portfolio.json may list, order and drop them
+export const CHAPTER_IDS = ['home', 'skills', 'education', 'experience', 'projects', 'certificates', 'contact'];
@@ -0,0 +1,117 @@
+/* Achievements — visitor trophies for exploring the site, persisted across visits and announced with a toast */
+import { chapters, projects } from 'virtual:portfolio-content';
+import { createStore, useStore } from './createStore';
+import { navigation } from './navigationStore';
+import { projectView } from './projectView';
+import { readSetting, writeSetting } from './storage';
+import { playSound } from './sounds';
+import { t } from './i18n';
+
+const STORAGE_KEY = 'achievements';
+const TAU = Math.PI * 2;
+const KONAMI = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
+
+// `goal` turns on a progress bar in the trophy panel, fed by the matching `progress` list.
+// Titles and descriptions live in the locale catalogs under achievements.list.<id>.
+export const ACHIEVEMENTS = [
+  { id: 'explorer', icon: '🧭', goal: chapters.length, progress: 'chapters' },
+  { id: 'full-turn', icon: '🔄' },
+  { id: 'curator', icon: '🗂️', goal: projects.length, progress: 'projects' },
+  { id: 'secret', icon: '🕹️', hidden: true },
+];
+
+/** Title and description of an achievement in the current language. */
+export function achievementText({ id, goal }) {
+  return {
+    title: t(`achievements.list.${id}.title`),
+    description: t(`achievements.list.${id}.description`, { count: goal }),
+  };
+}
+
+const saved = readSetting(STORAGE_KEY, {});
+
+// Drop progress on chapters/projects that have since been removed from portfolio.json
+const known = (list, ids) => (Array.isArray(list) ? list.filter((id) => ids.includes(id)) : []);
+
+export const achievements = createStore({
+  unlocked: saved.unlocked || {},   // id → ISO time it was earned
+  progress: {
+    chapters: known(saved.progress?.chapters, chapters.map((c) => c.id)),
+    projects: known(saved.progress?.projects, projects.map((p) => p.slug)),
+  },
+  toasts: [],                       // ids waiting to be shown, oldest first
+});
+
+achievements.subscribe(({ unlocked, progress }) => writeSetting(STORAGE_KEY, { unlocked, progress }));
+
+export function unlockAchievement(id) {
+  const { unlocked, toasts } = achievements.getState();
+  if (unlocked[id] || !ACHIEVEMENTS.some((a) => a.id === id)) return;
+  achievements.setState({
+    unlocked: { ...unlocked, [id]: new Date().toISOString() },
+    toasts: [...toasts, id],
+  });
+  playSound('achievement');
+}
+
+export function dismissToast(id) {
+  achievements.setState({ toasts: achievements.getState().toasts.filter((t) => t !== id) });
+}
+
+/** Records one more chapter/project seen and unlocks the achievement once its goal is met. */
+function addProgress(key, item) {
+  const { progress } = achievements.getState();
+  if (progress[key].includes(item)) return;
+  const list = [...progress[key], item];
+  achievements.setState({ progress: { ...progress, [key]: list } });
+
+  const achievement = ACHIEVEMENTS.find((a) => a.progress === key);
+  if (list.length >= achievement.goal) unlockAchievement(achievement.id);
+}
+
+export function resetAchievements() {
+  achievements.setState({ unlocked: {}, progress: { chapters: [], projects: [] }, toasts: [] });
+}
+
+/**
+ * Watches navigation, the project dialog and the keyboard for achievement
+ * triggers. Returns a cleanup function.
+ */
+export function startAchievements() {
+  addProgress('chapters', chapters[navigation.getState().chapter].id);
+  // Chapters swept past mid-gesture don't count as visited
+  const offChapter = navigation.on('chaptersettle', ({ chapter }) => addProgress('chapters', chapters[chapter].id));
+
+  // A full turn is a sweep of 360° in either direction within one visit
+  let min = navigation.getState().targetRotation;
+  let max = min;
+  const offRotation = navigation.subscribe(({ targetRotation }) => {
+    min = Math.min(min, targetRotation);
+    max = Math.max(max, targetRotation);
+    if (max - min >= TAU - 1e-6) unlockAchievement('full-turn');
+  });
+
+  const offProject = projectView.subscribe(({ slug }) => slug && addProgress('projects', slug));
+
+  let typed = 0;
+  const handleKeyDown = (e) => {
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    typed = key === KONAMI[typed] ? typed + 1 : key === KONAMI[0] ? 1 : 0;
+    if (typed === KONAMI.length) {
+      typed = 0;
+      unlockAchievement('secret');
+    }
+  };
+  window.addEventListener('keydown', handleKeyDown);
+
+  return () => {
+    offChapter();
+    offRotation();
+    offProject();
+    window.removeEventListener('keydown', handleKeyDown);
+  };
+}
+
+export function useAchievements(selector) {
+  return useStore(achievements, selector);
+}
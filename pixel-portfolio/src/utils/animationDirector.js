@@ -0,0 +1,83 @@
+/* Animation Director — plays the declarative chapter/emote clip sequences from portfolio.json on a three.js mixer */
+import { LoopOnce, LoopRepeat } from 'three';
+
+/**
+ * @param {THREE.AnimationMixer} mixer
+ * @param {Record<string, THREE.AnimationAction>} actions
+ * @param {{ idle: string, fade: number, chapters: object, emotes: object }} config
+ * @param {(clip: string) => void} [onClipChange] called whenever a clip starts
+ */
+export function createAnimationDirector(mixer, actions, config, onClipChange) {
+  const idleStep = { clip: config.idle };
+  let current = null;   // action currently faded in
+  let queue = [];       // remaining steps of the running sequence
+  let resting = idleStep; // where the character settles once the chapter's one-shots (or an emote) end
+
+  const crossfadeTo = (step) => {
+    const action = actions[step.clip];
+    if (!action) return false;
+
+    action.reset();
+    action.setLoop(step.once ? LoopOnce : LoopRepeat, Infinity);
+    action.clampWhenFinished = Boolean(step.once);
+    action.setEffectiveTimeScale(step.timeScale ?? 1);
+    action.setEffectiveWeight(1);
+
+    const fade = step.fade ?? config.fade;
+    if (current && current !== action) action.crossFadeFrom(current, fade, false);
+    else action.fadeIn(fade);
+    action.play();
+
+    current = action;
+    onClipChange?.(step.clip);
+    return true;
+  };
+
+  const next = () => {
+    while (queue.length) {
+      if (crossfadeTo(queue.shift())) return;
+    }
+    crossfadeTo(resting);
+  };
+
+  const handleFinished = (e) => {
+    if (e.action === current) next();
+  };
+  mixer.addEventListener('finished', handleFinished);
+
+  const run = (steps) => {
+    queue = [...steps];
+    next();
+  };
+
+  return {
+    /** Plays a chapter's sequence; one-shot endings settle back to idle. */
+    playChapter(id) {
+      const steps = config.chapters[id] || [idleStep];
+      // A looping step never finishes, so the last one is where the chapter rests
+      resting = steps.filter((s) => !s.once).at(-1) || idleStep;
+      run(steps.filter((s) => s.once));
+    },
+
+    /** Settles straight into the idle loop, skipping any chapter one-shots. */
+    playIdle() {
+      resting = idleStep;
+      run([]);
+    },
+
+    /** Interrupts with an emote, then returns to wherever the chapter had settled. */
+    playEmote(name) {
+      const steps = config.emotes[name];
+      if (!steps) return;
+      run(steps);
+    },
+
+    get clip() {
+      return current?.getClip().name ?? null;
+    },
+
+    dispose() {
+      mixer.removeEventListener('finished', handleFinished);
+    },
+  };
+}
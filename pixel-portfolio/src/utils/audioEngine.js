@@ -0,0 +1,112 @@
+/* Audio Engine — Web Audio synth for declarative SFX, a step sequencer for music, and master/music/sfx gain buses */
+let ctx = null;
+let buses = null;
+const levels = { master: 1, music: 1, sfx: 1 }; // remembered until the context exists
+
+/** Lazily creates the context and the bus graph: music → master, sfx → master, master → speakers. */
+function getAudio() {
+  if (!ctx) {
+    ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const master = ctx.createGain();
+    const music = ctx.createGain();
+    const sfx = ctx.createGain();
+    master.gain.value = levels.master;
+    music.gain.value = levels.music;
+    sfx.gain.value = levels.sfx;
+    music.connect(master);
+    sfx.connect(master);
+    master.connect(ctx.destination);
+    buses = { master, music, sfx };
+  }
+  return { ctx, buses };
+}
+
+/** Browsers start contexts suspended until a user gesture. */
+export function resumeAudio() {
+  if (ctx && ctx.state === 'suspended') ctx.resume();
+}
+
+/** Sets bus levels (0..1), with a short ramp so sliders don't click. */
+export function setBusVolumes(volumes) {
+  Object.assign(levels, volumes);
+  if (!ctx) return;
+  Object.entries(volumes).forEach(([bus, value]) => buses[bus].gain.setTargetAtTime(value, ctx.currentTime, 0.02));
+}
+
+/**
+ * Schedules one note on a bus.
+ * @param {{ freq: number, slideTo?: number, at?: number, dur: number }} note times in seconds
+ * @param {{ wave: OscillatorType, volume: number }} voice
+ */
+function playNote(note, voice, bus, when) {
+  const start = when + (note.at ?? 0);
+  const end = start + note.dur;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = voice.wave;
+  osc.frequency.setValueAtTime(note.freq, start);
+  if (note.slideTo) osc.frequency.exponentialRampToValueAtTime(note.slideTo, end);
+  gain.gain.setValueAtTime(voice.volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, end);
+  osc.connect(gain);
+  gain.connect(buses[bus]);
+  osc.start(start);
+  osc.stop(end);
+}
+
+/** Plays a declarative sound effect `{ wave, volume, notes: [...] }` on the sfx bus. */
+export function playSfx(def) {
+  if (!def?.notes?.length) return;
+  try {
+    getAudio();
+    def.notes.forEach((note) => playNote(note, def, 'sfx', ctx.currentTime));
+  } catch { /* no Web Audio: stay silent */ }
+}
+
+const NOTE_INDEX = { C: -9, D: -7, E: -5, F: -4, G: -2, A: 0, B: 2 };
+
+/** 'A4' → 440, 'C#5' → 554.37; '-' or '.' is a rest. */
+export function noteToFreq(name) {
+  const m = /^([A-G])(#|b)?(\d)$/.exec(name);
+  if (!m) return null;
+  const semis = NOTE_INDEX[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0) + (Number(m[3]) - 4) * 12;
+  return 440 * 2 ** (semis / 12);
+}
+
+const LOOKAHEAD = 0.1;      // seconds scheduled ahead of the clock
+const SCHEDULE_EVERY = 25;  // ms between scheduler ticks
+
+/**
+ * Loops a track on the music bus. Each track channel is a string of
+ * space-separated steps (note names or rests), all played at `bpm` with
+ * `stepsPerBeat` steps to the beat. Returns a stop function.
+ * @param {{ bpm: number, stepsPerBeat?: number, channels: { wave: OscillatorType, volume: number, steps: string }[] }} track
+ */
+export function playLoop(track) {
+  try {
+    getAudio();
+  } catch {
+    return () => {};
+  }
+  const stepTime = 60 / track.bpm / (track.stepsPerBeat ?? 2);
+  const channels = track.channels.map((c) => ({ ...c, freqs: c.steps.trim().split(/\s+/).map(noteToFreq) }));
+  const length = Math.max(...channels.map((c) => c.freqs.length));
+
+  let step = 0;
+  let nextTime = ctx.currentTime + 0.05;
+  const tick = () => {
+    // Background tabs throttle timers: skip what was missed instead of playing it all at once
+    if (nextTime < ctx.currentTime) nextTime = ctx.currentTime + 0.05;
+    while (nextTime < ctx.currentTime + LOOKAHEAD) {
+      channels.forEach((c) => {
+        const freq = c.freqs[step % c.freqs.length];
+        if (freq) playNote({ freq, dur: stepTime * 0.9 }, c, 'music', nextTime);
+      });
+      step = (step + 1) % length;
+      nextTime += stepTime;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, SCHEDULE_EVERY);
+  return () => clearInterval(timer);
+}
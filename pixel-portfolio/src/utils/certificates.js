@@ -0,0 +1,44 @@
+/* Certificates — issuer lookup and sort/group order for the Certificates chapter */
+import { certificates, issuers } from 'virtual:portfolio-content';
+import { createStore, useStore } from './createStore';
+
+// Labels live in the message catalogs under certificates.sorts.<id>
+export const CERTIFICATE_SORTS = {
+  featured: { compare: null }, // portfolio.json order
+  name: { compare: (a, b) => a.name.localeCompare(b.name) },
+};
+
+export const certificateView = createStore({
+  sort: 'featured',
+  grouped: false, // one section per issuer
+});
+
+export function sortCertificates(sort) {
+  if (sort in CERTIFICATE_SORTS) certificateView.setState({ sort });
+}
+
+export function toggleCertificateGrouping() {
+  certificateView.setState({ grouped: !certificateView.getState().grouped });
+}
+
+export function issuerOf(cert) {
+  return { id: cert.issuer, ...issuers[cert.issuer] };
+}
+
+/** Sections to render: a single untitled one, or one per issuer in first-appearance order. */
+export function certificateGroups({ sort, grouped }) {
+  const { compare } = CERTIFICATE_SORTS[sort];
+  const sorted = compare ? [...certificates].sort(compare) : certificates;
+  if (!grouped) return [{ issuer: null, certificates: sorted }];
+
+  const groups = new Map();
+  sorted.forEach((cert) => {
+    if (!groups.has(cert.issuer)) groups.set(cert.issuer, { issuer: issuerOf(cert), certificates: [] });
+    groups.get(cert.issuer).certificates.push(cert);
+  });
+  return [...groups.values()];
+}
+
+export function useCertificateView(selector) {
+  return useStore(certificateView, selector);
+}
@@ -0,0 +1,76 @@
+/* Chapter Entrance — staggered reveal and sound each time a chapter opens, tuned per chapter in portfolio.json */
+import { useEffect } from 'react';
+import { gsap } from 'gsap';
+import { chapters } from 'virtual:portfolio-content';
+import { navigation } from './navigationStore';
+import { loading } from './loadingProgress';
+import { prefersReducedMotion } from './motionPreference';
+import { playSound } from './sounds';
+
+const DEFAULT_ENTRANCE = {
+  sound: null,
+  stagger: 0.08,  // seconds between targets
+  duration: 0.6,
+  distance: 30,   // px the targets rise from
+  once: false,    // true: only the first visit reveals
+};
+
+/**
+ * Reveals `targets` (a selector scoped to `scopeRef`) whenever chapter `id`
+ * becomes active, and plays the chapter's entrance sound once for that visit.
+ * The first chapter waits for the loading screen so its entrance is seen.
+ */
+export function useChapterEntrance(id, scopeRef, targets) {
+  useEffect(() => {
+    const index = chapters.findIndex((c) => c.id === id);
+    const config = { ...DEFAULT_ENTRANCE, ...chapters[index]?.entrance };
+    let visits = 0;
+    let ctx = null;
+
+    const enter = () => {
+      if (config.once && visits > 0) return;
+      visits += 1;
+      if (config.sound) playSound(config.sound);
+
+      ctx?.revert();
+      if (prefersReducedMotion()) return;
+      ctx = gsap.context(() => {
+        gsap.from(targets, {
+          opacity: 0,
+          y: config.distance,
+          duration: config.duration,
+          stagger: config.stagger,
+          ease: 'power3.out',
+          clearProps: 'opacity,transform',
+        });
+      }, scopeRef);
+    };
+
+    const enterIfActive = () => {
+      if (navigation.getState().chapter === index) enter();
+    };
+
+    let offLoading = null;
+    if (loading.getState().done) {
+      enterIfActive();
+    } else {
+      offLoading = loading.subscribe(({ done }) => {
+        if (!done) return;
+        offLoading();
+        offLoading = null;
+        enterIfActive();
+      });
+    }
+
+    // Settled chapters only: a sweep through this chapter on the way elsewhere isn't a visit
+    const offChapter = navigation.on('chaptersettle', ({ chapter }) => {
+      if (chapter === index && loading.getState().done) enter();
+    });
+
+    return () => {
+      offLoading?.();
+      offChapter();
+      ctx?.revert();
+    };
+  }, [id, scopeRef, targets]);
+}
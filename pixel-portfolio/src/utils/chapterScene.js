@@ -0,0 +1,23 @@
+/* Chapter Scene — each chapter's set dressing, camera framing and light level, configured in portfolio.json */
+import { chapters } from 'virtual:portfolio-content';
+
+const DEFAULT_SCENE = {
+  set: null,                  // one of SCENE_SETS in plugins/contentSchema.js
+  position: [0, 0.5, 5.5],    // camera position
+  target: [0, 0, 0],          // where the camera looks
+  light: 1,                   // multiplies the theme's light intensities
+};
+
+const scenes = chapters.map(({ scene = {} }) => ({
+  ...DEFAULT_SCENE,
+  ...(scene.set && { set: scene.set }),
+  ...scene.camera,
+  ...(scene.light !== undefined && { light: scene.light }),
+}));
+
+/** The resolved scene for chapter `index`, defaults filled in. */
+export function chapterScene(index) {
+  return scenes[index] ?? DEFAULT_SCENE;
+}
+
+export const INITIAL_CAMERA = DEFAULT_SCENE.position;
@@ -0,0 +1,43 @@
+/* Character Store — what the 3D character is doing, plus emote requests from the UI */
+import { character } from 'virtual:portfolio-content';
+import { createStore } from './createStore';
+import { isRtl } from './i18n';
+
+// Self-hosted (see `npm run model:build`); meshopt decodes in-bundle, Draco from our own /draco/ copy
+export const MODEL_URL = `${import.meta.env.BASE_URL}${character.model}`;
+export const DRACO_PATH = `${import.meta.env.BASE_URL}draco/`;
+
+export const characterState = createStore({
+  clip: null, // name of the clip currently playing
+});
+
+/** Asks the character to play an emote from `character.animations.emotes` (e.g. 'projectHover'). */
+export function playEmote(name) {
+  characterState.emit('emote', name);
+}
+
+const POKE_STREAK = { pokes: 3, within: 1500 }; // this many pokes this close together and the character hits back
+let pokeTimes = [];
+
+/** The visitor clicked the character: it shakes its head, or punches after a quick streak. Emits `poke`. */
+export function pokeCharacter(now = performance.now()) {
+  pokeTimes = [...pokeTimes.filter((t) => now - t < POKE_STREAK.within), now];
+  const streak = pokeTimes.length >= POKE_STREAK.pokes;
+  if (streak) pokeTimes = [];
+  playEmote(streak ? 'pokeStreak' : 'poke');
+  characterState.emit('poke');
+}
+
+/**
+ * Where the character stands for a viewport width in scene units: opposite
+ * the chapter text on desktop, centred (and smaller) on mobile. Chapter sets
+ * are placed around the same spot.
+ */
+export function characterAnchor(viewportWidth) {
+  const isMobile = viewportWidth < 5;
+  return {
+    x: isMobile ? 0 : isRtl() ? -1.8 : 1.8,
+    y: isMobile ? -2.0 : -1.55,
+    scale: isMobile ? 0.35 : 0.4,
+  };
+}
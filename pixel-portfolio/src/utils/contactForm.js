@@ -0,0 +1,107 @@
+/* Contact Form — where messages go, a client-side send limit, clipboard copy and the vCard download */
+import { contact, profile } from 'virtual:portfolio-content';
+import { HONEYPOT_FIELD } from '../shared/contactMessage';
+import { readSetting, writeSetting } from './storage';
+import { t } from './i18n';
+
+export { HONEYPOT_FIELD, MESSAGE_LIMITS, MIN_MESSAGE_LENGTH, validateContactMessage } from '../shared/contactMessage';
+
+const STORAGE_KEY = 'contact-sent';
+const SEND_LIMIT = 3;               // messages per browser…
+const SEND_WINDOW = 10 * 60 * 1000; // …per ten minutes
+const REQUEST_TIMEOUT = 10000;
+
+// portfolio.json's endpoint wins; otherwise the dev server's mock (see plugins/contactMock.js)
+const useMock = import.meta.env.DEV || import.meta.env.VITE_CONTACT_MOCK === 'true';
+export const CONTACT_ENDPOINT = contact.endpoint || (useMock ? `${import.meta.env.BASE_URL}api/contact` : null);
+
+function recentSends(now) {
+  const sent = readSetting(STORAGE_KEY, []);
+  return Array.isArray(sent) ? sent.filter((t) => now - t < SEND_WINDOW) : [];
+}
+
+/** Milliseconds until this browser may send another message; 0 when it may now. */
+export function sendCooldown(now = Date.now()) {
+  const recent = recentSends(now);
+  return recent.length < SEND_LIMIT ? 0 : recent[0] + SEND_WINDOW - now;
+}
+
+/**
+ * Posts a message to the endpoint, Formspree style. Resolves to `{ ok: true }`,
+ * or `{ ok: false, error, fieldErrors? }` with a message fit to show the visitor
+ * and field problem codes (see validateContactMessage).
+ * A filled-in honeypot "succeeds" without sending anything.
+ */
+export async function sendContactMessage(fields) {
+  if (fields[HONEYPOT_FIELD]) return { ok: true };
+  if (sendCooldown() > 0) return { ok: false, error: t('contact.errors.limited') };
+
+  let res;
+  try {
+    res = await fetch(CONTACT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(fields),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+  } catch {
+    return { ok: false, error: t('contact.errors.offline') };
+  }
+
+  if (res.ok) {
+    const now = Date.now();
+    writeSetting(STORAGE_KEY, [...recentSends(now), now]);
+    return { ok: true };
+  }
+  if (res.status === 429) return { ok: false, error: t('contact.errors.rateLimited') };
+
+  const body = await res.json().catch(() => ({}));
+  // Problem codes where the endpoint sends them (the mock does), so they're shown in the visitor's language
+  const fieldErrors = Object.fromEntries((body.errors || []).filter((e) => e.field).map((e) => [e.field, e.code || e.message]));
+  return { ok: false, error: body.error || t('contact.errors.rejected'), fieldErrors };
+}
+
+/** A mail-client link carrying the message, for builds without an endpoint. */
+export function mailtoHref({ name, message }) {
+  const subject = encodeURIComponent(`Hello from ${name || 'your portfolio'}`);
+  return `mailto:${profile.email}?subject=${subject}&body=${encodeURIComponent(message || '')}`;
+}
+
+/** Resolves true once `text` is on the clipboard, false when the browser refuses. */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// vCard 3.0 text values escape backslashes, commas, semicolons and newlines
+const escapeVCard = (value) => value.replace(/[\\,;]/g, '\\$&').replace(/\n/g, '\\n');
+
+export function profileVCard() {
+  const { firstName, lastName } = profile;
+  return [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeVCard(lastName)};${escapeVCard(firstName)};;;`,
+    `FN:${escapeVCard(`${firstName} ${lastName}`)}`,
+    `TITLE:${escapeVCard(profile.tagline)}`,
+    `EMAIL;TYPE=INTERNET:${profile.email}`,
+    `TEL;TYPE=CELL:${profile.phone}`,
+    `URL:${profile.linkedin}`,
+    `URL:${profile.github}`,
+    'END:VCARD',
+    '',
+  ].join('\r\n');
+}
+
+export function downloadVCard() {
+  const url = URL.createObjectURL(new Blob([profileVCard()], { type: 'text/vcard' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${profile.firstName}-${profile.lastName}.vcf`.toLowerCase();
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
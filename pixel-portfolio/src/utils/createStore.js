@@ -0,0 +1,44 @@
+/* Tiny subscribable store — module-level state shared by React and non-React code (e.g. useFrame loops) */
+import { useSyncExternalStore } from 'react';
+
+export function createStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+  const events = new Map();
+
+  return {
+    getState: () => state,
+
+    /** Shallow-merges `partial` into the state and notifies subscribers if anything changed. */
+    setState(partial) {
+      const changed = Object.keys(partial).some((key) => !Object.is(state[key], partial[key]));
+      if (!changed) return;
+      state = { ...state, ...partial };
+      listeners.forEach((listener) => listener(state));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** Listens for a named event; returns an unsubscribe function. */
+    on(event, handler) {
+      if (!events.has(event)) events.set(event, new Set());
+      events.get(event).add(handler);
+      return () => events.get(event).delete(handler);
+    },
+
+    emit(event, payload) {
+      events.get(event)?.forEach((handler) => handler(payload));
+    },
+  };
+}
+
+/**
+ * Subscribes a component to a slice of a store. Keep selectors returning
+ * primitives (or stable references) so unrelated updates don't re-render.
+ */
+export function useStore(store, selector = (s) => s) {
+  return useSyncExternalStore(store.subscribe, () => selector(store.getState()));
+}
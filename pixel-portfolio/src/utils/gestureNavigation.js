@@ -0,0 +1,139 @@
+/* Gesture Navigation — drag/swipe with momentum, wheel and trackpad scrolling, snapping to chapter sectors */
+import { navigation, setTargetRotation, rotateBy, snapRotation, SECTOR_ANGLE } from './navigationStore';
+
+export const DEFAULT_GESTURE_OPTIONS = {
+  sensitivity: 0.01,       // radians per dragged pixel
+  threshold: 12,           // px a pointer must travel before it counts as a drag (taps stay taps)
+  friction: 0.92,          // per-frame velocity decay used to project a fling
+  maxFlingSectors: 2,      // a hard fling may skip at most this many chapters
+  wheelSensitivity: 0.002, // radians per wheel pixel
+  wheelThreshold: 40,      // px of wheel travel that always advances one chapter
+  wheelSettleDelay: 150,   // ms without wheel events before snapping
+};
+
+const INTERACTIVE = 'a, button, input, textarea, select, label, [role="tab"], [contenteditable="true"], [aria-modal="true"]';
+
+// Lets chapter content keep its own vertical scrolling under the wheel
+function canScrollVertically(target, deltaY) {
+  for (let el = target; el instanceof HTMLElement; el = el.parentElement) {
+    const { overflowY } = getComputedStyle(el);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight) {
+      if (deltaY > 0 && el.scrollTop + el.clientHeight < el.scrollHeight - 1) return true;
+      if (deltaY < 0 && el.scrollTop > 0) return true;
+    }
+  }
+  return false;
+}
+
+/** Snaps to the sector a rotation lands in, never further than `maxSectors` from `from`. */
+function snapWithin(rotation, from, maxSectors) {
+  const limit = maxSectors * SECTOR_ANGLE;
+  const clamped = Math.min(from + limit, Math.max(from - limit, rotation));
+  setTargetRotation(snapRotation(clamped));
+}
+
+/**
+ * Drives the navigation store from pointer and wheel input on the window.
+ * Returns a cleanup function.
+ */
+export function startGestureNavigation(options = {}) {
+  const opts = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+
+  let pointer = null; // { id, startX, lastX, lastTime, velocity, dragging, startRotation }
+  let wheelAccum = 0;
+  let wheelStart = 0;
+  let wheelTimer = null;
+
+  const handleDown = (e) => {
+    if (!e.isPrimary || e.button > 0 || e.target.closest?.(INTERACTIVE)) return;
+    pointer = {
+      id: e.pointerId,
+      startX: e.clientX,
+      lastX: e.clientX,
+      lastTime: e.timeStamp,
+      velocity: 0,
+      dragging: false,
+      startRotation: navigation.getState().targetRotation,
+    };
+  };
+
+  const handleMove = (e) => {
+    if (!pointer || e.pointerId !== pointer.id) return;
+    if (!pointer.dragging) {
+      if (Math.abs(e.clientX - pointer.startX) < opts.threshold) return;
+      pointer.dragging = true;
+      pointer.lastX = e.clientX;
+      pointer.lastTime = e.timeStamp;
+      return;
+    }
+
+    const dx = e.clientX - pointer.lastX;
+    const dt = Math.max(1, e.timeStamp - pointer.lastTime);
+    // Smoothed px/ms so a single jittery event doesn't decide the fling
+    pointer.velocity = pointer.velocity * 0.6 + (dx / dt) * 0.4;
+    pointer.lastX = e.clientX;
+    pointer.lastTime = e.timeStamp;
+    rotateBy(dx * opts.sensitivity);
+  };
+
+  const handleUp = (e) => {
+    if (!pointer || e.pointerId !== pointer.id) return;
+    const { dragging, velocity, startRotation } = pointer;
+    const stale = e.timeStamp - pointer.lastTime > 100; // finger paused before lifting: no fling
+    pointer = null;
+    if (!dragging) return;
+
+    const { targetRotation } = navigation.getState();
+    const fling = e.type === 'pointerup' && !stale
+      ? (velocity * 16 * opts.sensitivity) / (1 - opts.friction) // geometric series of per-frame travel
+      : 0;
+    snapWithin(targetRotation + fling, startRotation, opts.maxFlingSectors);
+  };
+
+  const settleWheel = () => {
+    const { targetRotation } = navigation.getState();
+    const snapped = snapRotation(targetRotation);
+    const stayedPut = Math.abs(snapped - snapRotation(wheelStart)) < 1e-6;
+    // A short flick of the wheel (one mouse notch) should still turn the page
+    if (stayedPut && Math.abs(wheelAccum) >= opts.wheelThreshold) {
+      setTargetRotation(snapRotation(wheelStart) + Math.sign(wheelAccum) * SECTOR_ANGLE);
+    } else {
+      setTargetRotation(snapped);
+    }
+    wheelAccum = 0;
+    wheelTimer = null;
+  };
+
+  const handleWheel = (e) => {
+    if (e.ctrlKey) return; // pinch-zoom on trackpads
+    const horizontal = Math.abs(e.deltaX) > Math.abs(e.deltaY);
+    if (e.target.closest?.('[aria-modal="true"]')) return; // dialogs own their scrolling
+    if (!horizontal && canScrollVertically(e.target, e.deltaY)) return;
+
+    // Normalise line/page delta modes to pixels
+    const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? window.innerHeight : 1;
+    const delta = (horizontal ? e.deltaX : e.deltaY) * scale;
+
+    if (wheelTimer === null) wheelStart = navigation.getState().targetRotation;
+    wheelAccum += delta;
+    rotateBy(delta * opts.wheelSensitivity);
+
+    clearTimeout(wheelTimer);
+    wheelTimer = setTimeout(settleWheel, opts.wheelSettleDelay);
+  };
+
+  window.addEventListener('pointerdown', handleDown);
+  window.addEventListener('pointermove', handleMove);
+  window.addEventListener('pointerup', handleUp);
+  window.addEventListener('pointercancel', handleUp);
+  window.addEventListener('wheel', handleWheel, { passive: true });
+
+  return () => {
+    clearTimeout(wheelTimer);
+    window.removeEventListener('pointerdown', handleDown);
+    window.removeEventListener('pointermove', handleMove);
+    window.removeEventListener('pointerup', handleUp);
+    window.removeEventListener('pointercancel', handleUp);
+    window.removeEventListener('wheel', handleWheel);
+  };
+}
@@ -0,0 +1,87 @@
+/* Hash Router — mirrors the active chapter (and an open project) in the URL fragment, e.g. #projects/<slug>.
+   Fragments leave the path alone, so this works under the GitHub Pages `base` without server rewrites. */
+import { chapters } from 'virtual:portfolio-content';
+import { navigation, goToChapter } from './navigationStore';
+import { projectView, openProject, closeProject } from './projectView';
+
+/** Returns the chapter index for a `#id` fragment, or -1 when it names no chapter. */
+export function chapterFromHash(hash) {
+  const id = decodeURIComponent(hash.replace(/^#/, '')).split('/')[0];
+  return chapters.findIndex((c) => c.id === id);
+}
+
+export function hashForChapter(index) {
+  return `#${chapters[index].id}`;
+}
+
+/** The project slug in `#projects/<slug>`, or null. */
+export function projectFromHash(hash) {
+  const [id, slug] = decodeURIComponent(hash.replace(/^#/, '')).split('/');
+  return id === 'projects' && slug ? slug : null;
+}
+
+export function hashForProject(slug) {
+  return `#projects/${slug}`;
+}
+
+const PROJECTS_CHAPTER = chapters.findIndex((c) => c.id === 'projects');
+
+/**
+ * Restores the chapter named in the URL, then keeps the URL and the
+ * navigation store in sync. Returns a cleanup function.
+ */
+export function startHashRouting() {
+  let restoring = false;
+
+  // Applies a fragment: rotates to its chapter and opens or closes the project it names
+  const restore = (hash) => {
+    const index = chapterFromHash(hash);
+    const slug = projectFromHash(hash);
+    restoring = true;
+    goToChapter(slug ? PROJECTS_CHAPTER : Math.max(index, 0));
+    if (slug) openProject(slug);
+    else closeProject();
+    restoring = false;
+  };
+
+  // Prerendered chapter pages (<base><chapter>/, see plugins/seo.js) boot the app at their chapter
+  const pageChapter = document.documentElement.dataset.chapter;
+  if (!window.location.hash && pageChapter) {
+    window.history.replaceState(null, '', `${import.meta.env.BASE_URL}#${pageChapter}`);
+  }
+
+  if (window.location.hash) restore(window.location.hash);
+
+  // Only chapters the visitor settles on get a history entry, not every sector a drag sweeps through
+  const unsubscribe = navigation.on('chaptersettle', ({ chapter }) => {
+    if (restoring) return;
+    // A project dialog belongs to the chapter being left; the chapter's own entry replaces it below
+    restoring = true;
+    closeProject();
+    restoring = false;
+    const hash = hashForChapter(chapter);
+    if (window.location.hash !== hash) window.history.pushState({ chapter }, '', hash);
+  });
+
+  // Opening and closing a project are history entries of their own, so Back closes the dialog
+  const unsubscribeProject = projectView.subscribe(({ slug }) => {
+    if (restoring) return;
+    // Closing a dialog we opened steps back instead of stacking another entry
+    if (!slug && window.history.state?.project) {
+      window.history.back();
+      return;
+    }
+    const hash = slug ? hashForProject(slug) : hashForChapter(navigation.getState().chapter);
+    if (window.location.hash !== hash) window.history.pushState({ project: slug }, '', hash);
+  });
+
+  // Back/forward (and hand-edited fragments) rotate the character instead of reloading
+  const handlePopState = () => restore(window.location.hash);
+  window.addEventListener('popstate', handlePopState);
+
+  return () => {
+    unsubscribe();
+    unsubscribeProject();
+    window.removeEventListener('popstate', handlePopState);
+  };
+}
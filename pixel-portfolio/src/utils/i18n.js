@@ -0,0 +1,143 @@
+/* i18n — message catalogs from src/locales, the visitor's language (remembered, else detected) and locale-aware formatting */
+import { createStore, useStore } from './createStore';
+import { readSetting, writeSetting } from './storage';
+
+const STORAGE_KEY = 'locale';
+export const DEFAULT_LOCALE = 'en';
+
+// src/locales/<code>.json → catalog; each names itself under `meta` ({ name, dir })
+const catalogs = Object.fromEntries(
+  Object.entries(import.meta.glob('../locales/*.json', { eager: true, import: 'default' }))
+    .map(([file, messages]) => [file.match(/([\w-]+)\.json$/)[1], messages]),
+);
+
+export const LOCALES = Object.fromEntries(Object.entries(catalogs).map(([code, c]) => [code, c.meta]));
+
+/** First of the browser's preferred languages we have a catalog for, matching 'hi-IN' to 'hi'. */
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+  for (const tag of languages) {
+    if (catalogs[tag]) return tag;
+    const base = tag?.split('-')[0];
+    if (catalogs[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+const saved = readSetting(STORAGE_KEY, null);
+
+export const i18n = createStore({
+  locale: catalogs[saved] ? saved : detectLocale(),
+});
+
+// <html lang dir> drive hyphenation, screen reader voices and the RTL layout in global.css
+function applyToDocument(locale) {
+  if (typeof document === 'undefined') return;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+}
+applyToDocument(i18n.getState().locale);
+
+i18n.subscribe(({ locale }) => applyToDocument(locale));
+
+export function setLocale(locale) {
+  if (!catalogs[locale]) return;
+  i18n.setState({ locale });
+  writeSetting(STORAGE_KEY, locale);
+}
+
+export function isRtl() {
+  return LOCALES[i18n.getState().locale].dir === 'rtl';
+}
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const pluralRules = new Map();
+function pluralCategory(locale, count) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(count);
+}
+
+export function formatNumber(value) {
+  return new Intl.NumberFormat(i18n.getState().locale).format(value);
+}
+
+/**
+ * The message for `key` in the current language, falling back to English,
+ * then `params.defaultValue`, then the key itself. `{name}` placeholders are
+ * filled from `params`.
+ * Plural messages are objects keyed by Intl plural category ("one", "few",
+ * "other"…) and chosen by `params.count`; `#` in them is the formatted count.
+ */
+export function t(key, params = {}) {
+  const { locale } = i18n.getState();
+  let message = lookup(catalogs[locale], key) ?? lookup(catalogs[DEFAULT_LOCALE], key) ?? params.defaultValue ?? key;
+  if (typeof message === 'object') {
+    message = (message[pluralCategory(locale, params.count)] ?? message.other).replace(/#/g, formatNumber(params.count));
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * A translation of portfolio.json content from the catalog's `content`
+ * section (e.g. `content.chapters.skills.title`), or the content's own text.
+ */
+export function localized(key, fallback) {
+  return lookup(catalogs[i18n.getState().locale], `content.${key}`) ?? fallback;
+}
+
+/** A chapter's nav label, number and title in the current language. */
+export function chapterText(chapter) {
+  return {
+    nav: localized(`chapters.${chapter.id}.nav`, chapter.nav),
+    number: localized(`chapters.${chapter.id}.number`, chapter.number),
+    title: localized(`chapters.${chapter.id}.title`, chapter.title),
+  };
+}
+
+/** '2024-06' → 'Jun 2024' in the current language; day precision is kept when the content has it. */
+export function formatDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, (month || 1) - 1, day || 1)).toLocaleDateString(i18n.getState().locale, {
+    year: 'numeric',
+    ...(month && { month: 'short' }),
+    ...(day && { day: 'numeric' }),
+    timeZone: 'UTC',
+  });
+}
+
+/** '2022', '2026' → '2022–2026' with the locale's own range punctuation and digits; either end may be missing. */
+export function formatYearRange(start, end) {
+  const format = new Intl.DateTimeFormat(i18n.getState().locale, { year: 'numeric', timeZone: 'UTC' });
+  const toDate = (value) => new Date(Date.UTC(Number(value.slice(0, 4)), 0, 1));
+  if (!start || !end || start.slice(0, 4) === end.slice(0, 4)) return format.format(toDate(start || end));
+  return format.formatRange(toDate(start), toDate(end));
+}
+
+/** An education entry's years, location and score: "2022–2026 | Nagpur". */
+export function educationDetails(entry) {
+  return [
+    (entry.start || entry.end) && formatYearRange(entry.start, entry.end),
+    entry.location,
+    entry.score && t('education.score', { score: entry.score }),
+  ].filter(Boolean).join(' | ');
+}
+
+/** ['A', 'B', 'C'] → 'A, B and C' in the current language. */
+export function formatList(items) {
+  return new Intl.ListFormat(i18n.getState().locale, { type: 'conjunction' }).format(items);
+}
+
+/** Re-renders the component when the language changes and returns `t`. */
+export function useT() {
+  useStore(i18n, (s) => s.locale);
+  return t;
+}
+
+export function useLocale() {
+  return useStore(i18n, (s) => s.locale);
+}
+
+export function useChapterText(chapter) {
+  useLocale();
+  return chapterText(chapter);
+}
@@ -0,0 +1,40 @@
+/* Keyboard Navigation — arrow keys, Page Up/Down and Home/End switch chapters */
+import { navigation, goToChapter, CHAPTER_COUNT } from './navigationStore';
+import { isRtl } from './i18n';
+
+// Up/Down are deliberately left alone so they keep scrolling long chapters
+const KEY_STEPS = {
+  ArrowRight: 1,
+  PageDown: 1,
+  ArrowLeft: -1,
+  PageUp: -1,
+};
+
+function isTypingTarget(el) {
+  return el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+}
+
+/** Maps a keydown to the chapter index it should open, or null if the key isn't ours. */
+export function chapterForKey(key, current) {
+  if (key === 'Home') return 0;
+  if (key === 'End') return CHAPTER_COUNT - 1;
+  if (!(key in KEY_STEPS)) return null;
+  // Right-to-left pages read the other way, so the arrows swap
+  const step = key.startsWith('Arrow') && isRtl() ? -KEY_STEPS[key] : KEY_STEPS[key];
+  return (current + step + CHAPTER_COUNT) % CHAPTER_COUNT;
+}
+
+/** Listens for chapter keys on the window. Returns a cleanup function. */
+export function startKeyboardNavigation() {
+  const handleKeyDown = (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+    if (document.querySelector('[aria-modal="true"]')) return; // an open dialog keeps the keyboard
+    const next = chapterForKey(e.key, navigation.getState().chapter);
+    if (next === null) return;
+    e.preventDefault();
+    goToChapter(next, { focus: true });
+  };
+
+  window.addEventListener('keydown', handleKeyDown);
+  return () => window.removeEventListener('keydown', handleKeyDown);
+}
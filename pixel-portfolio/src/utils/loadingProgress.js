@@ -0,0 +1,59 @@
+/* Loading Progress — what the boot screen waits on: the character model (bytes as they arrive), web fonts, failures */
+import { useGLTF } from '@react-three/drei';
+import { createStore, useStore } from './createStore';
+import { MODEL_URL } from './characterStore';
+
+export const loading = createStore({
+  modelBytes: 0,     // 0..1 of the model download, when the server sends Content-Length
+  modelError: null,  // message once the model failed to download or parse
+  fontsReady: false,
+  attempt: 0,        // bumped on retry so the scene remounts and loads again
+  done: false,       // the loading screen has gone and the page is visible
+});
+
+/**
+ * `extendLoader` for useGLTF: reports byte progress of the download. The
+ * loading manager (drei's useProgress) only counts whole files, and the model
+ * is a single file.
+ */
+export function trackModelProgress(loader) {
+  // r3f shares one GLTFLoader and re-applies extensions on every load: wrap once
+  if (loader.load.tracksProgress) return;
+  const load = loader.load.bind(loader);
+  loader.load = (url, onLoad, onProgress, onError) => load(url, onLoad, (e) => {
+    if (url === MODEL_URL && e.lengthComputable) loading.setState({ modelBytes: e.loaded / e.total });
+    onProgress?.(e);
+  }, onError);
+  loader.load.tracksProgress = true;
+}
+
+export function finishLoading() {
+  loading.setState({ done: true });
+}
+
+export function reportModelError(error) {
+  loading.setState({ modelError: error?.message || String(error) });
+}
+
+/** Forgets the failed (or stuck) model request and loads it again. */
+export function retryModel() {
+  useGLTF.clear(MODEL_URL);
+  const { attempt } = loading.getState();
+  loading.setState({ modelBytes: 0, modelError: null, attempt: attempt + 1 });
+}
+
+/** Resolves the fonts the stylesheet is already using; resolves at once where the Font Loading API is missing. */
+export function startFontTracking() {
+  let cancelled = false;
+  const ready = document.fonts?.ready ?? Promise.resolve();
+  ready.then(() => {
+    if (!cancelled) loading.setState({ fontsReady: true });
+  });
+  return () => {
+    cancelled = true;
+  };
+}
+
+export function useLoading(selector) {
+  return useStore(loading, selector);
+}
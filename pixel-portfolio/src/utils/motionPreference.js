@@ -0,0 +1,51 @@
+/* Motion Preference — the OS `prefers-reduced-motion` setting, overridable from the in-page toggle */
+import { createStore, useStore } from './createStore';
+import { readSetting, writeSetting } from './storage';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+const STORAGE_KEY = 'motion';
+
+const media = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null;
+
+function resolve(system, override) {
+  return override ? override === 'reduce' : system;
+}
+
+const initialSystem = Boolean(media?.matches);
+const initialOverride = readSetting(STORAGE_KEY, null); // null | 'reduce' | 'full'
+
+export const motion = createStore({
+  system: initialSystem,
+  override: initialOverride,
+  reduced: resolve(initialSystem, initialOverride),
+});
+
+// CSS hook: html[data-motion="reduced"] switches off transitions and keyframe animations
+function applyToDocument(reduced) {
+  if (typeof document !== 'undefined') document.documentElement.dataset.motion = reduced ? 'reduced' : 'full';
+}
+applyToDocument(motion.getState().reduced);
+
+motion.subscribe(({ reduced }) => applyToDocument(reduced));
+
+media?.addEventListener('change', (e) => {
+  const { override } = motion.getState();
+  motion.setState({ system: e.matches, reduced: resolve(e.matches, override) });
+});
+
+/** For animation loops and other non-React code. */
+export function prefersReducedMotion() {
+  return motion.getState().reduced;
+}
+
+/** Flips the effective setting and remembers the visitor's choice. */
+export function toggleReducedMotion() {
+  const { system, reduced } = motion.getState();
+  const override = reduced ? 'full' : 'reduce';
+  writeSetting(STORAGE_KEY, override);
+  motion.setState({ override, reduced: resolve(system, override) });
+}
+
+export function useReducedMotion() {
+  return useStore(motion, (s) => s.reduced);
+}
@@ -0,0 +1,118 @@
+/* Chapter Navigation Store — which chapter the character faces, shared by App, Navbar and the 3D scene */
+import { chapters } from 'virtual:portfolio-content';
+import { createStore, useStore } from './createStore';
+
+const TAU = Math.PI * 2;
+
+export const CHAPTER_COUNT = chapters.length;
+export const SECTOR_ANGLE = TAU / CHAPTER_COUNT;
+
+/** DOM ids tying each Navbar tab to its chapter panel (aria-controls / aria-labelledby). */
+export const chapterTabId = (id) => `chapter-tab-${id}`;
+export const chapterPanelId = (id) => `chapter-panel-${id}`;
+
+/** Maps an (unbounded) rotation in radians to the chapter index whose sector contains it. */
+export function chapterAtRotation(rotation) {
+  let rot = rotation % TAU;
+  if (rot < 0) rot += TAU;
+  return Math.min(Math.floor(rot / SECTOR_ANGLE), CHAPTER_COUNT - 1);
+}
+
+/** Centre of a chapter's sector — aiming here keeps the active-chapter calculation robust. */
+export function sectorCenter(index) {
+  return (index + 0.5) * SECTOR_ANGLE;
+}
+
+/** Centre of the sector containing `rotation`, keeping the same number of full turns. */
+export function snapRotation(rotation) {
+  return Math.floor(rotation / SECTOR_ANGLE) * SECTOR_ANGLE + SECTOR_ANGLE / 2;
+}
+
+export const navigation = createStore({
+  chapter: 0,
+  targetRotation: 0,
+  rotation: 0,
+  transitionFrom: 0,
+  progress: 1,
+  direction: 0,
+});
+
+// The chapter the last gesture or jump came to rest on
+let settled = { chapter: 0, rotation: 0 };
+
+/**
+ * Points the character at a new rotation. Emits `chapterchange` whenever the
+ * rotation crosses into another chapter's sector, including every sector a
+ * drag or wheel sweep passes through. Once the rotation lands (a snap or a
+ * jump, as opposed to `rotateBy` mid-gesture) on a chapter other than the last
+ * one landed on, it also emits `chaptersettle`: that is the event for anything
+ * that should happen once per visit — entrance effects, the character's
+ * animations, history, announcements. `meta` (e.g. `{ focus: true }`) is
+ * passed through on both.
+ */
+export function setTargetRotation(targetRotation, meta = {}, { landing = true } = {}) {
+  const prev = navigation.getState();
+  if (targetRotation === prev.targetRotation) {
+    if (landing) settle(meta);
+    return;
+  }
+
+  const chapter = chapterAtRotation(targetRotation);
+  const direction = Math.sign(targetRotation - prev.targetRotation);
+
+  navigation.setState({
+    targetRotation,
+    chapter,
+    direction,
+    transitionFrom: prev.rotation,
+    progress: 0,
+  });
+
+  if (chapter !== prev.chapter) {
+    navigation.emit('chapterchange', { ...meta, chapter, previous: prev.chapter, direction });
+  }
+  if (landing) settle(meta);
+}
+
+function settle(meta) {
+  const { chapter, targetRotation } = navigation.getState();
+  if (chapter === settled.chapter) return;
+  const direction = Math.sign(targetRotation - settled.rotation);
+  const previous = settled.chapter;
+  settled = { chapter, rotation: targetRotation };
+  navigation.emit('chaptersettle', { ...meta, chapter, previous, direction });
+}
+
+/** Moves the target mid-gesture; the gesture's final snap is what settles on a chapter. */
+export function rotateBy(delta) {
+  setTargetRotation(navigation.getState().targetRotation + delta, {}, { landing: false });
+}
+
+/** Rotates to a chapter by the shortest way round from the current target. */
+export function goToChapter(index, meta) {
+  const wrapped = ((index % CHAPTER_COUNT) + CHAPTER_COUNT) % CHAPTER_COUNT;
+  const { targetRotation } = navigation.getState();
+  const center = sectorCenter(wrapped);
+  const turns = Math.round((targetRotation - center) / TAU);
+  setTargetRotation(center + turns * TAU, meta);
+}
+
+/**
+ * Called every frame by the 3D character with the rotation it is actually
+ * displaying, so the store can expose transition progress.
+ */
+export function reportRotation(rotation) {
+  const { targetRotation, transitionFrom, progress } = navigation.getState();
+  const total = Math.abs(targetRotation - transitionFrom);
+  const remaining = Math.abs(targetRotation - rotation);
+  const next = total < 1e-4 || remaining < 1e-3 ? 1 : Math.min(1, Math.max(0, 1 - remaining / total));
+
+  // Round so subscribers aren't re-rendered for imperceptible per-frame changes
+  const rounded = Math.round(next * 100) / 100;
+  navigation.setState({ rotation, progress: rounded });
+  if (rounded === 1 && progress !== 1) navigation.emit('transitionend', navigation.getState());
+}
+
+export function useNavigation(selector) {
+  return useStore(navigation, selector);
+}
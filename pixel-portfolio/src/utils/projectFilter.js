@@ -0,0 +1,43 @@
+/* Project Filter — which projects the Projects chapter lists and in what order; the skill comes from the skill tree */
+import { createStore, useStore } from './createStore';
+
+// Labels live in the message catalogs under projects.sorts.<id>
+export const PROJECT_SORTS = {
+  featured: { compare: null }, // portfolio.json order
+  title: { compare: (a, b) => a.title.localeCompare(b.title) },
+  tags: { compare: (a, b) => b.tags.length - a.tags.length },
+};
+
+export const projectFilter = createStore({
+  skill: null, // skill id, or null for every project
+  tag: null,   // tech tag, or null
+  sort: 'featured',
+});
+
+export function filterProjectsBySkill(skill) {
+  projectFilter.setState({ skill });
+}
+
+/** Toggles a tech tag filter: picking the active tag again clears it. */
+export function toggleProjectTag(tag) {
+  projectFilter.setState({ tag: projectFilter.getState().tag === tag ? null : tag });
+}
+
+export function sortProjects(sort) {
+  if (sort in PROJECT_SORTS) projectFilter.setState({ sort });
+}
+
+export function clearProjectFilter() {
+  projectFilter.setState({ skill: null, tag: null });
+}
+
+/** Applies the skill/tag filters and the sort order to a project list. */
+export function visibleProjects(projects, { skill, tag, sort }) {
+  const shown = projects.filter((p) => (!skill || p.skills?.includes(skill)) && (!tag || p.tags.includes(tag)));
+  const { compare } = PROJECT_SORTS[sort];
+  return compare ? [...shown].sort(compare) : shown;
+}
+
+export function useProjectFilter(selector) {
+  return useStore(projectFilter, selector);
+}
@@ -0,0 +1,29 @@
+/* Project View — which project's detail dialog is open; the hash router mirrors it as #projects/<slug> */
+import { projects } from 'virtual:portfolio-content';
+import { createStore, useStore } from './createStore';
+
+export const projectView = createStore({
+  slug: null,
+});
+
+export function projectBySlug(slug) {
+  return projects.find((p) => p.slug === slug) || null;
+}
+
+/** Opens a project's detail dialog; unknown slugs are ignored. */
+export function openProject(slug) {
+  if (projectBySlug(slug)) projectView.setState({ slug });
+}
+
+export function closeProject() {
+  projectView.setState({ slug: null });
+}
+
+/** Resolves a gallery `src`: absolute URLs as-is, anything else relative to public/. */
+export function mediaUrl(src) {
+  return /^https?:\/\//.test(src) ? src : `${import.meta.env.BASE_URL}${src.replace(/^\//, '')}`;
+}
+
+export function useOpenProject() {
+  return projectBySlug(useStore(projectView, (s) => s.slug));
+}
@@ -0,0 +1,116 @@
+/* Quality Tiers — WebGL capability check plus adaptive render settings for the 3D scene and particles */
+import { modelAvailable } from 'virtual:character-model';
+import { createStore, useStore } from './createStore';
+
+export const QUALITY_TIERS = {
+  high: {
+    dpr: [1, 2],
+    antialias: true,
+    lights: 'full',
+    floatingPixels: 30,
+    fireParticles: 15,
+    backgroundParticles: 30,
+    chapterSets: true,
+    physicsProps: 12,
+    effects: ['pixel', 'bloom', 'crt'],
+  },
+  medium: {
+    dpr: [1, 1.5],
+    antialias: true,
+    lights: 'reduced',
+    floatingPixels: 16,
+    fireParticles: 10,
+    backgroundParticles: 20,
+    chapterSets: true,
+    physicsProps: 8,
+    effects: ['pixel', 'crt'], // bloom's blur chain is the expensive one
+  },
+  low: {
+    dpr: 1,
+    antialias: false,
+    lights: 'minimal',
+    floatingPixels: 0,
+    fireParticles: 6,
+    backgroundParticles: 0,
+    chapterSets: false,
+    physicsProps: 0,
+    effects: [],
+  },
+  // No usable WebGL: the 2D character sprite stands in for the scene
+  fallback: {
+    dpr: 1,
+    antialias: false,
+    lights: 'minimal',
+    floatingPixels: 0,
+    fireParticles: 0,
+    backgroundParticles: 12,
+    chapterSets: false,
+    physicsProps: 0,
+    effects: [],
+  },
+};
+
+const TIER_ORDER = ['high', 'medium', 'low', 'fallback'];
+
+// Renderers that mean "the CPU is pretending to be a GPU"
+const SOFTWARE_RENDERER = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+
+/** Probes WebGL once and reports the unmasked renderer string when the browser exposes it. */
+export function probeWebGL() {
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return { supported: false, renderer: '' };
+    const info = gl.getExtension('WEBGL_debug_renderer_info');
+    const renderer = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return { supported: true, renderer: String(renderer || '') };
+  } catch {
+    return { supported: false, renderer: '' };
+  }
+}
+
+/** Picks a starting tier from WebGL support and coarse hardware hints. `?quality=low` overrides it. */
+export function detectQualityTier() {
+  // Built without the model (see plugins/characterModel.js): nothing to render in 3D
+  if (!modelAvailable) return 'fallback';
+
+  const override = new URLSearchParams(window.location.search).get('quality');
+  if (override in QUALITY_TIERS) return override;
+
+  const { supported, renderer } = probeWebGL();
+  if (!supported) return 'fallback';
+
+  const memory = navigator.deviceMemory ?? 8;
+  const cores = navigator.hardwareConcurrency ?? 4;
+  if (SOFTWARE_RENDERER.test(renderer) || navigator.webdriver || memory <= 2 || cores <= 2) return 'low';
+  if (memory <= 4 || window.matchMedia('(pointer: coarse)').matches) return 'medium';
+  return 'high';
+}
+
+export const quality = createStore({
+  tier: typeof window === 'undefined' ? 'high' : detectQualityTier(),
+});
+
+/** Steps down one tier, e.g. when the frame rate keeps dropping. Never falls back from 3D on its own. */
+export function downgradeQuality() {
+  const { tier } = quality.getState();
+  const next = TIER_ORDER[TIER_ORDER.indexOf(tier) + 1];
+  if (next && next !== 'fallback') quality.setState({ tier: next });
+}
+
+/** Swaps the 3D scene for the 2D character, e.g. when the visitor gives up on a model that won't load. */
+export function switchToFallback() {
+  quality.setState({ tier: 'fallback' });
+}
+
+/** The WebGL context is gone (driver reset, GPU process crash…): switch to the 2D character. */
+export function reportContextLost() {
+  switchToFallback();
+}
+
+/** Current tier name plus its settings. */
+export function useQuality() {
+  const tier = useStore(quality, (s) => s.tier);
+  return { tier, ...QUALITY_TIERS[tier] };
+}
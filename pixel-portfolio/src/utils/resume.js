@@ -0,0 +1,19 @@
+/* Résumé — prints the print-only CV (components/Resume.jsx); the browser's "Save as PDF" turns it into a file */
+import { profile } from 'virtual:portfolio-content';
+import { t } from './i18n';
+
+/** 'https://github.com/someone/' → 'github.com/someone', for links printed as text. */
+export function displayUrl(url) {
+  return url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+/**
+ * Opens the print dialog. Browsers name the saved PDF after the page title,
+ * so it's swapped for the duration of the dialog.
+ */
+export function printResume() {
+  const title = document.title;
+  document.title = t('resume.documentTitle', { name: `${profile.firstName} ${profile.lastName}` });
+  window.addEventListener('afterprint', () => { document.title = title; }, { once: true });
+  window.print();
+}
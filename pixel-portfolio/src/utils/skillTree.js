@@ -0,0 +1,47 @@
+/* Skill Tree — the skills graph from portfolio.json: tiers by prerequisite depth, ancestry, and which projects use what */
+import { skills, projects } from 'virtual:portfolio-content';
+export { MAX_SKILL_LEVEL } from '../shared/content';
+
+export const skillNodes = skills.flatMap((category, categoryIndex) =>
+  category.nodes.map((node) => ({ ...node, requires: node.requires || [], category: category.title, categoryIndex })));
+
+export const skillById = new Map(skillNodes.map((node) => [node.id, node]));
+
+// Depth = longest prerequisite chain below a skill; the build already rejects loops
+const depthCache = new Map();
+function depthOf(id) {
+  if (!depthCache.has(id)) {
+    const { requires } = skillById.get(id);
+    depthCache.set(id, requires.length ? 1 + Math.max(...requires.map(depthOf)) : 0);
+  }
+  return depthCache.get(id);
+}
+
+/** Rows of the tree, roots first. Within a row, skills keep their portfolio.json order. */
+export const skillTiers = skillNodes.reduce((tiers, node) => {
+  const depth = depthOf(node.id);
+  (tiers[depth] ||= []).push(node);
+  return tiers;
+}, []);
+
+/** Every skill that has to be learned before `id`, nearest first. */
+export function prerequisitesOf(id) {
+  const seen = new Set();
+  const queue = [...skillById.get(id).requires];
+  while (queue.length) {
+    const next = queue.shift();
+    if (seen.has(next)) continue;
+    seen.add(next);
+    queue.push(...skillById.get(next).requires);
+  }
+  return [...seen];
+}
+
+/** Skills that list `id` directly as a prerequisite. */
+export function unlocksOf(id) {
+  return skillNodes.filter((node) => node.requires.includes(id)).map((node) => node.id);
+}
+
+export function projectsUsingSkill(id) {
+  return projects.filter((project) => project.skills?.includes(id));
+}
@@ -0,0 +1,70 @@
+/* Sound Packs — declarative SFX and music per pack; the engine in audioEngine.js plays them */
+
+/** Rising arpeggio: one note every `step` seconds, each ringing for `dur`. */
+const arp = (freqs, step, dur) => freqs.map((freq, i) => ({ freq, at: i * step, dur }));
+
+const CHIPTUNE = {
+  bpm: 132,
+  stepsPerBeat: 2,
+  channels: [
+    {
+      wave: 'square',
+      volume: 0.02,
+      steps: `C5 E5 G5 E5  C5 E5 G5 C6  A4 C5 E5 C5  A4 C5 E5 A5
+              F4 A4 C5 A4  F4 A4 C5 F5  G4 B4 D5 B4  G4 B4 D5 G5`,
+    },
+    {
+      wave: 'triangle',
+      volume: 0.05,
+      steps: `C3 - C3 -  G2 - C3 -  A2 - A2 -  E2 - A2 -
+              F2 - F2 -  C3 - F2 -  G2 - G2 -  D3 - G2 -`,
+    },
+  ],
+};
+
+const LULLABY = {
+  bpm: 84,
+  stepsPerBeat: 2,
+  channels: [
+    {
+      wave: 'sine',
+      volume: 0.025,
+      steps: 'E5 - G5 - C6 - G5 -  D5 - F5 - A5 - F5 -  C5 - E5 - G5 - E5 -  B4 - D5 - G5 - - -',
+    },
+    {
+      wave: 'triangle',
+      volume: 0.035,
+      steps: 'C3 - - - - - - -  D3 - - - - - - -  A2 - - - - - - -  G2 - - - - - - -',
+    },
+  ],
+};
+
+export const SOUND_PACKS = {
+  '8bit': {
+    label: '8-bit',
+    sfx: {
+      hover: { wave: 'square', volume: 0.025, notes: [{ freq: 880, dur: 0.06 }] },
+      click: { wave: 'square', volume: 0.05, notes: [{ freq: 440, slideTo: 220, dur: 0.12 }] },
+      section: { wave: 'square', volume: 0.03, notes: arp([523, 659, 784], 0.08, 0.15) },
+      achievement: { wave: 'square', volume: 0.035, notes: arp([523, 659, 784, 1047], 0.1, 0.2) },
+    },
+    music: CHIPTUNE,
+  },
+  soft: {
+    label: 'Soft UI',
+    sfx: {
+      hover: { wave: 'sine', volume: 0.03, notes: [{ freq: 660, dur: 0.05 }] },
+      click: { wave: 'sine', volume: 0.06, notes: [{ freq: 520, slideTo: 390, dur: 0.09 }] },
+      section: { wave: 'triangle', volume: 0.04, notes: arp([392, 523, 659], 0.07, 0.25) },
+      achievement: { wave: 'triangle', volume: 0.05, notes: arp([392, 523, 659, 784], 0.09, 0.35) },
+    },
+    music: LULLABY,
+  },
+  silent: {
+    label: 'Silent',
+    sfx: {},
+    music: null,
+  },
+};
+
+export const DEFAULT_PACK = '8bit';
@@ -1,86 +1,102 @@
-/* Retro Sound Effects — Web Audio API */
-let audioCtx = null;
-
-function getCtx() {
-  if (!audioCtx) {
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-  }
-  return audioCtx;
+/* Sounds — audio settings (persisted) and the play/music API the UI calls; packs live in soundPacks.js */
+import { createStore, useStore } from './createStore';
+import { readSetting, writeSetting } from './storage';
+import { SOUND_PACKS, DEFAULT_PACK } from './soundPacks';
+import { setBusVolumes, playLoop, playSfx, resumeAudio } from './audioEngine';
+
+const STORAGE_KEY = 'audio';
+
+const DEFAULT_SETTINGS = {
+  muted: false,
+  pack: DEFAULT_PACK,
+  music: false,   // background track; off until the visitor asks for it
+  volume: { master: 0.8, music: 0.5, sfx: 1 },
+};
+
+function loadSettings() {
+  const saved = readSetting(STORAGE_KEY, {});
+  const settings = { ...DEFAULT_SETTINGS, ...saved, volume: { ...DEFAULT_SETTINGS.volume, ...saved.volume } };
+  if (!(settings.pack in SOUND_PACKS)) settings.pack = DEFAULT_PACK;
+  return settings;
+}
+
+export const audioSettings = createStore(loadSettings());
+
+function update(partial) {
+  audioSettings.setState(partial);
+  writeSetting(STORAGE_KEY, audioSettings.getState());
+}
+
+export function setMuted(muted) {
+  update({ muted });
 }
 
-export function playHover() {
-  try {
-    const ctx = getCtx();
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-    osc.frequency.setValueAtTime(880, ctx.currentTime);
-    osc.type = 'square';
-    gain.gain.setValueAtTime(0.025, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.06);
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + 0.06);
-  } catch (e) { /* silent fail */ }
+export function setSoundPack(pack) {
+  if (pack in SOUND_PACKS) update({ pack });
 }
 
-export function playClick() {
-  try {
-    const ctx = getCtx();
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-    osc.frequency.setValueAtTime(440, ctx.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(220, ctx.currentTime + 0.1);
-    osc.type = 'square';
-    gain.gain.setValueAtTime(0.05, ctx.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.12);
-    osc.start(ctx.currentTime);
-    osc.stop(ctx.currentTime + 0.12);
-  } catch (e) { /* silent fail */ }
+export function setMusicEnabled(music) {
+  update({ music });
 }
 
-export function playSection() {
-  try {
-    const ctx = getCtx();
-    const notes = [523, 659, 784];
-    notes.forEach((freq, i) => {
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      osc.connect(gain);
-      gain.connect(ctx.destination);
-      osc.frequency.setValueAtTime(freq, ctx.currentTime + i * 0.08);
-      osc.type = 'square';
-      gain.gain.setValueAtTime(0.03, ctx.currentTime + i * 0.08);
-      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + i * 0.08 + 0.15);
-      osc.start(ctx.currentTime + i * 0.08);
-      osc.stop(ctx.currentTime + i * 0.08 + 0.15);
-    });
-  } catch (e) { /* silent fail */ }
+/** @param {'master' | 'music' | 'sfx'} bus */
+export function setVolume(bus, value) {
+  update({ volume: { ...audioSettings.getState().volume, [bus]: value } });
 }
 
-export function playAchievement() {
-  try {
-    const ctx = getCtx();
-    const notes = [523, 659, 784, 1047];
-    notes.forEach((freq, i) => {
-      const osc = ctx.createOscillator();
-      const gain = ctx.createGain();
-      osc.connect(gain);
-      gain.connect(ctx.destination);
-      osc.frequency.setValueAtTime(freq, ctx.currentTime + i * 0.1);
-      osc.type = 'square';
-      gain.gain.setValueAtTime(0.035, ctx.currentTime + i * 0.1);
-      gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + i * 0.1 + 0.2);
-      osc.start(ctx.currentTime + i * 0.1);
-      osc.stop(ctx.currentTime + i * 0.1 + 0.2);
-    });
-  } catch (e) { /* silent fail */ }
+/** Plays a named effect ('hover', 'click', 'section', 'achievement') from the current pack. */
+export function playSound(name) {
+  const { muted, pack } = audioSettings.getState();
+  if (muted) return;
+  resumeAudio();
+  playSfx(SOUND_PACKS[pack].sfx[name]);
+}
+
+function busLevels({ muted, volume }) {
+  return { master: muted ? 0 : volume.master, music: volume.music, sfx: volume.sfx };
+}
+
+/**
+ * Keeps the bus levels and background music in line with the settings.
+ * Nothing touches Web Audio before the first user gesture, as browsers require.
+ */
+export function startSound() {
+  let unlocked = false;
+  let stopMusic = null;
+  let playing = null; // pack whose track is looping
+
+  const sync = (settings) => {
+    setBusVolumes(busLevels(settings));
+    if (!unlocked) return;
+    const track = settings.music && !settings.muted ? SOUND_PACKS[settings.pack].music : null;
+    const wanted = track ? settings.pack : null;
+    if (wanted === playing) return;
+    stopMusic?.();
+    stopMusic = track ? playLoop(track) : null;
+    playing = wanted;
+  };
+
+  const unlock = () => {
+    unlocked = true;
+    resumeAudio();
+    sync(audioSettings.getState());
+  };
+  sync(audioSettings.getState());
+  window.addEventListener('pointerdown', unlock, { once: true });
+  window.addEventListener('keydown', unlock, { once: true });
+  const unsubscribe = audioSettings.subscribe((settings) => {
+    resumeAudio();
+    sync(settings);
+  });
+
+  return () => {
+    window.removeEventListener('pointerdown', unlock);
+    window.removeEventListener('keydown', unlock);
+    unsubscribe();
+    stopMusic?.();
+  };
 }
 
-export function resumeAudioContext() {
-  if (audioCtx && audioCtx.state === 'suspended') {
-    audioCtx.resume();
-  }
+export function useAudioSettings(selector) {
+  return useStore(audioSettings, selector);
 }
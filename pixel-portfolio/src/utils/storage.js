@@ -0,0 +1,17 @@
+/* Persisted Settings — namespaced localStorage that shrugs off private mode and quota errors */
+const PREFIX = 'pixel-portfolio:';
+
+export function readSetting(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeSetting(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch { /* storage unavailable: the setting just won't survive a reload */ }
+}
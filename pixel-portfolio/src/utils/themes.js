@@ -0,0 +1,212 @@
+/* Themes — one palette per theme drives the CSS variables, the 3D scene's lights, fog and materials, and the canvas particles */
+import { createStore, useStore } from './createStore';
+import { readSetting, writeSetting } from './storage';
+
+const STORAGE_KEY = 'theme';
+
+/**
+ * `css` becomes custom properties on <html> (`bgCard` → `--bg-card`); global.css
+ * holds the same warm-day values as its defaults for the prerendered page.
+ * `scene` is read by CharacterScene3D, FireParticles, ParticleBackground, the
+ * chapter sets (`props`) and the pixel effect (`palette`, eight colours).
+ */
+export const THEMES = {
+  day: {
+    icon: '☀️',
+    scheme: 'light',
+    css: {
+      bg: '#F5F0E8',
+      bgDark: '#EDE6DA',
+      bgCard: '#FFFFFF',
+      bgCardHover: '#FFF8F0',
+      bgGlass: 'rgba(245,240,232,0.9)',
+      bgTint: '#FFF4E6',
+      surface: 'rgba(255,255,255,0.75)',
+      hover: 'rgba(0,0,0,0.05)',
+      backdrop: 'rgba(42,36,32,0.45)',
+      primary: '#FF8C00',
+      primaryLight: '#FFa500',
+      primaryDark: '#e07800',
+      primaryGlow: 'rgba(255,140,0,0.25)',
+      primaryGlowStrong: 'rgba(255,140,0,0.5)',
+      onPrimary: '#FFFFFF',
+      accent: '#FFD700',
+      text: '#2a2420',
+      textSecondary: '#6b5e52',
+      textMuted: '#9a8d80',
+      border: 'rgba(0,0,0,0.08)',
+      borderHover: 'rgba(255,140,0,0.3)',
+      shadow: '0 4px 24px rgba(0,0,0,0.06)',
+      shadowHover: '0 12px 40px rgba(0,0,0,0.12)',
+      success: '#2E8B57',
+      danger: '#C0392B',
+    },
+    scene: {
+      background: '#F5F0E8',
+      ambient: { color: '#fff5e6', intensity: 0.7 },
+      key: { color: '#fff', intensity: 1.2 },
+      rim: { color: '#FFa500', intensity: 0.3 },
+      glow: ['#FF8C00', '#ffd700'],
+      pixels: ['#FF8C00', '#FFa500', '#e07800'],
+      fire: ['#FF4500', '#FF6B00', '#FF8C00', '#FFa500', '#FFD700', '#FF3300'],
+      particles: ['#FF8C00', '#e07800'],
+      palette: ['#2a2420', '#6b5e52', '#8B5A2B', '#e07800', '#FF8C00', '#FFD700', '#E8DCC4', '#F5F0E8'],
+      props: { wood: '#8B5A2B', gold: '#FFC83D', ground: '#E8DCC4', ink: '#6b5e52', cloth: ['#FF8C00', '#e07800', '#6b5e52'] },
+    },
+  },
+
+  night: {
+    icon: '🌙',
+    scheme: 'dark',
+    css: {
+      bg: '#1C1612',
+      bgDark: '#14100D',
+      bgCard: '#2A211B',
+      bgCardHover: '#33281F',
+      bgGlass: 'rgba(28,22,18,0.9)',
+      bgTint: '#3A2A1C',
+      surface: 'rgba(42,33,27,0.8)',
+      hover: 'rgba(255,255,255,0.08)',
+      backdrop: 'rgba(0,0,0,0.6)',
+      primary: '#FF9A1F',
+      primaryLight: '#FFB347',
+      primaryDark: '#FFB347',
+      primaryGlow: 'rgba(255,154,31,0.25)',
+      primaryGlowStrong: 'rgba(255,154,31,0.5)',
+      onPrimary: '#1C1612',
+      accent: '#FFD54F',
+      text: '#F3E9DC',
+      textSecondary: '#C9B8A6',
+      textMuted: '#958573',
+      border: 'rgba(255,255,255,0.1)',
+      borderHover: 'rgba(255,154,31,0.4)',
+      shadow: '0 4px 24px rgba(0,0,0,0.4)',
+      shadowHover: '0 12px 40px rgba(0,0,0,0.55)',
+      success: '#5FD38D',
+      danger: '#FF6B5B',
+    },
+    scene: {
+      background: '#1C1612',
+      ambient: { color: '#ffb070', intensity: 0.35 },
+      key: { color: '#ffd9b0', intensity: 0.7 },
+      rim: { color: '#FF6B00', intensity: 0.6 },
+      glow: ['#FF6B00', '#FF4500'],
+      pixels: ['#FF9A1F', '#FF6B00', '#FFD54F'],
+      fire: ['#FF4500', '#FF6B00', '#FF8C00', '#FFa500', '#FFD700', '#FF3300'],
+      particles: ['#FF9A1F', '#FFD54F'],
+      palette: ['#14100D', '#2E241C', '#5C3A1E', '#B34700', '#FF6B00', '#FF9A1F', '#FFD54F', '#F3E9DC'],
+      props: { wood: '#5C3A1E', gold: '#FFB84D', ground: '#2E241C', ink: '#C9B8A6', cloth: ['#FF9A1F', '#B34700', '#3A2A1C'] },
+    },
+  },
+
+  contrast: {
+    icon: '◐',
+    scheme: 'light',
+    css: {
+      bg: '#FFFFFF',
+      bgDark: '#E6E6E6',
+      bgCard: '#FFFFFF',
+      bgCardHover: '#FFF3E0',
+      bgGlass: 'rgba(255,255,255,0.97)',
+      bgTint: '#FFF0DB',
+      surface: 'rgba(255,255,255,0.97)',
+      hover: 'rgba(0,0,0,0.1)',
+      backdrop: 'rgba(0,0,0,0.7)',
+      primary: '#B35900',
+      primaryLight: '#CC6600',
+      primaryDark: '#8A4500',
+      primaryGlow: 'rgba(179,89,0,0.3)',
+      primaryGlowStrong: 'rgba(179,89,0,0.6)',
+      onPrimary: '#FFFFFF',
+      accent: '#8A4500',
+      text: '#000000',
+      textSecondary: '#1A1A1A',
+      textMuted: '#4D4D4D',
+      border: 'rgba(0,0,0,0.6)',
+      borderHover: '#8A4500',
+      shadow: '0 0 0 1px rgba(0,0,0,0.6)',
+      shadowHover: '0 0 0 2px #8A4500',
+      success: '#1B6B3A',
+      danger: '#A8201A',
+    },
+    scene: {
+      background: '#FFFFFF',
+      ambient: { color: '#ffffff', intensity: 0.9 },
+      key: { color: '#fff', intensity: 1.2 },
+      rim: { color: '#ffffff', intensity: 0.3 },
+      glow: ['#B35900', '#8A4500'],
+      pixels: ['#B35900', '#8A4500', '#000000'],
+      fire: ['#B35900', '#8A4500', '#CC6600'],
+      particles: ['#B35900', '#8A4500'],
+      palette: ['#000000', '#4D2A0A', '#4D4D4D', '#8A4500', '#B35900', '#CC6600', '#E6E6E6', '#FFFFFF'],
+      props: { wood: '#4D2A0A', gold: '#B35900', ground: '#F2F2F2', ink: '#000000', cloth: ['#B35900', '#000000', '#4D4D4D'] },
+    },
+  },
+};
+
+export const THEME_IDS = Object.keys(THEMES);
+
+// What the OS asks for: more contrast wins over the light/dark preference
+const queries = typeof window !== 'undefined' && window.matchMedia
+  ? { dark: window.matchMedia('(prefers-color-scheme: dark)'), contrast: window.matchMedia('(prefers-contrast: more)') }
+  : null;
+
+function systemTheme() {
+  if (queries?.contrast.matches) return 'contrast';
+  return queries?.dark.matches ? 'night' : 'day';
+}
+
+const saved = readSetting(STORAGE_KEY, null);
+const initialOverride = THEMES[saved] ? saved : null;
+
+export const theme = createStore({
+  system: systemTheme(),
+  override: initialOverride, // null follows the OS
+  id: initialOverride || systemTheme(),
+});
+
+const cssName = (key) => `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+// html[data-theme] for the odd rule that needs more than a variable, plus the browser's own widgets via color-scheme
+function applyToDocument(id) {
+  if (typeof document === 'undefined') return;
+  const root = document.documentElement;
+  const { css, scheme } = THEMES[id];
+  for (const [key, value] of Object.entries(css)) root.style.setProperty(cssName(key), value);
+  root.style.colorScheme = scheme;
+  root.dataset.theme = id;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', css.bg);
+}
+applyToDocument(theme.getState().id);
+
+theme.subscribe(({ id }) => applyToDocument(id));
+
+const handleSystemChange = () => {
+  const system = systemTheme();
+  const { override } = theme.getState();
+  theme.setState({ system, id: override || system });
+};
+queries?.dark.addEventListener('change', handleSystemChange);
+queries?.contrast.addEventListener('change', handleSystemChange);
+
+/** Steps to the next theme. Landing on the OS's own choice goes back to following the OS. */
+export function cycleTheme() {
+  const { system, id } = theme.getState();
+  const next = THEME_IDS[(THEME_IDS.indexOf(id) + 1) % THEME_IDS.length];
+  const override = next === system ? null : next;
+  writeSetting(STORAGE_KEY, override);
+  theme.setState({ override, id: next });
+}
+
+/** The active theme's palette for non-React code. */
+export function currentTheme() {
+  return THEMES[theme.getState().id];
+}
+
+export function useTheme() {
+  return THEMES[useStore(theme, (s) => s.id)];
+}
+
+export function useThemeId() {
+  return useStore(theme, (s) => s.id);
+}
@@ -0,0 +1,37 @@
+/* Visual Effects — the visitor's post-processing choices, filtered by what the quality tier can afford */
+import { createStore, useStore } from './createStore';
+import { readSetting, writeSetting } from './storage';
+import { useQuality } from './quality';
+
+const STORAGE_KEY = 'effects';
+
+/**
+ * `pixel` snaps the scene to chunky pixels dithered onto the theme's palette,
+ * `bloom` lets the fire glow, `crt` adds scanlines and a vignette.
+ */
+export const EFFECT_IDS = ['pixel', 'bloom', 'crt'];
+
+const DEFAULTS = { pixel: false, bloom: false, crt: false }; // all opt-in: the default render is a plain draw
+
+function loadSettings() {
+  const saved = readSetting(STORAGE_KEY, {});
+  return Object.fromEntries(EFFECT_IDS.map((id) => [id, typeof saved[id] === 'boolean' ? saved[id] : DEFAULTS[id]]));
+}
+
+export const visualEffects = createStore(loadSettings());
+
+export function setEffect(id, enabled) {
+  visualEffects.setState({ [id]: enabled });
+  writeSetting(STORAGE_KEY, visualEffects.getState());
+}
+
+export function useVisualEffects(selector) {
+  return useStore(visualEffects, selector);
+}
+
+/** The effects that are switched on and that the current tier allows, e.g. `{ pixel: false, bloom: true, crt: false }`. */
+export function useActiveEffects() {
+  const { effects: allowed } = useQuality();
+  const chosen = useStore(visualEffects, (s) => s);
+  return Object.fromEntries(EFFECT_IDS.map((id) => [id, chosen[id] && allowed.includes(id)]));
+}
@@ -1,8 +1,13 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import portfolioContent from './plugins/portfolioContent.js'
+import characterModel from './plugins/characterModel.js'
+import githubStats from './plugins/githubStats.js'
+import contactMock from './plugins/contactMock.js'
+import seo from './plugins/seo.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), portfolioContent(), characterModel(), githubStats(), contactMock(), seo()],
   base: '/pawar-portfolio/', // <-- Change this to your EXACT GitHub repo name
-})
\ No newline at end of file
+})